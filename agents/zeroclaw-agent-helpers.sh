@@ -25,12 +25,18 @@ mkdir -p "$ZEROCLAW_ERRORS_DIR" "$ZEROCLAW_SPANS_DIR"
 
 # ── Task lifecycle signals ───────────────────────────────────────────────────
 
+# One file per signal: the supervisor only reacts to new span files, so two
+# signals in the same second must not share a name (pid + random suffix)
+_zc_span_file() {
+  echo "$ZEROCLAW_SPANS_DIR/${ZEROCLAW_AGENT}-$1-$2-$$-$RANDOM.json"
+}
+
 zc_task_start() {
   local task="$1"
   local ts
   ts=$(date -u +"%Y%m%dT%H%M%SZ")
   echo "{ \"agent\": \"$ZEROCLAW_AGENT\", \"task\": \"$task\", \"event\": \"start\", \"ts\": \"$ts\" }" \
-    > "$ZEROCLAW_SPANS_DIR/${ZEROCLAW_AGENT}-start-${ts}.json"
+    > "$(_zc_span_file start "$ts")"
   echo "[zeroclaw] ▶ Starting: $task"
 }
 
@@ -38,8 +44,8 @@ zc_task_done() {
   local task="$1"
   local ts
   ts=$(date -u +"%Y%m%dT%H%M%SZ")
-  echo "{ \"agent\": \"$ZEROCLAW_AGENT\", \"task\": \"$task\", \"success\": true, \"ts\": \"$ts\" }" \
-    > "$ZEROCLAW_SPANS_DIR/${ZEROCLAW_AGENT}-done-${ts}.json"
+  echo "{ \"agent\": \"$ZEROCLAW_AGENT\", \"task\": \"$task\", \"phase\": \"${ZEROCLAW_PHASE:-}\", \"success\": true, \"ts\": \"$ts\" }" \
+    > "$(_zc_span_file done "$ts")"
   echo "[zeroclaw] ✓ Done: $task"
 }
 
@@ -49,6 +55,10 @@ zc_task_error() {
   local ts
   ts=$(date -u +"%Y%m%dT%H%M%SZ")
 
+  # Error span stops the task's budget clock until zc_task_start is called again
+  echo "{ \"agent\": \"$ZEROCLAW_AGENT\", \"task\": \"$task\", \"event\": \"error\", \"success\": false, \"ts\": \"$ts\" }" \
+    > "$(_zc_span_file error "$ts")"
+
   # Write error file — AgentLightning watches this dir for negative reward signals
   cat > "$ZEROCLAW_ERRORS_DIR/${ZEROCLAW_AGENT}-${ts}.md" <<EOF
 # Agent Error Report
@@ -31,29 +31,79 @@ program
 program
   .command('start [workspace]')
   .description('Start a new workspace session (default: current directory)')
-  .option('-r, --resume', 'Resume last session via /gsd:resume-work')
-  .option('--no-lightning', 'Disable AgentLightning RL feedback loop')
-  .option('--tmux-layout <layout>', 'tmux pane layout: tiled|even-horizontal|even-vertical|main-horizontal', 'tiled')
-  .action(async (workspace, opts) => {
+  .option('-r, --resume', 'Resume the last session: relaunch its journaled agent assignments (or run /gsd:resume-work)')
+  .option('-n, --name <name>', 'Session name, also its tmux session (default: the workspace folder name)')
+  .option('--no-lightning', 'Disable AgentLightning RL feedback loop (overrides lightning.enabled)')
+  .option('--tmux-layout <layout>', 'tmux pane layout: tiled|even-horizontal|even-vertical|main-horizontal (overrides tmux.layout, default tiled)')
+  .option('--runner <kind>', 'Where agents run: tmux | pty (node-pty, logs in .zeroclaw/logs/) (overrides runner, default tmux)')
+  .option('--max-agents <n>', 'Run at most n agents at once (overrides concurrency.maxParallelAgents)')
+  .option('--dry-run', 'Plan and preview task distribution without launching agents or touching git')
+  .option('--planning-runtime <name>', 'CLI that runs GSD: auto | opencode | claude | gemini | codex (overrides planner.gsd.runtime)')
+  .option('--install-gsd', 'Install GSD for the planning runtime if it is missing')
+  .action(async (workspace, opts, cmd) => {
     await banner();
-    const session = new Session({ workspace: workspace || process.cwd(), ...opts });
+    // Only flags actually typed override config.json (--no-lightning always yields a value)
+    const given   = Object.fromEntries(Object.entries(opts).filter(([key]) => cmd.getOptionValueSource(key) === 'cli'));
+    const session = new Session({ workspace: workspace || process.cwd(), ...given });
     await session.start();
   });
 
 program
-  .command('status')
-  .description('Show status of running agents in the current session')
-  .action(async () => {
+  .command('status [name]')
+  .description('Show status of a session (default: the current directory\'s)')
+  .option('-a, --all', 'List every running session')
+  .option('--json', 'Print the dashboard data as JSON')
+  .option('-w, --watch [seconds]', 'Refresh every few seconds (default 2) until Ctrl-C')
+  .action(async (name, opts) => {
     const Session = require('../project_utils/session');
-    await Session.status();
+    await Session.status({ name, ...opts });
   });
 
 program
-  .command('kill')
-  .description('Gracefully end the current session, archive state')
-  .action(async () => {
+  .command('kill [name]')
+  .description('Gracefully end a session (default: the current directory\'s), archive state')
+  .option('--preserve-worktrees', 'Keep each agent\'s git worktree instead of removing it')
+  .action(async (name, opts) => {
     const Session = require('../project_utils/session');
-    await Session.kill();
+    await Session.kill({ name, ...opts });
+  });
+
+program
+  .command('history [session]')
+  .description('List archived sessions (docs/session-logs/), or show one by folder, name or id')
+  .action(async (ref) => {
+    const Session = require('../project_utils/session');
+    await Session.history({ ref });
+  });
+
+program
+  .command('events [name]')
+  .description('Print a session\'s events (default: the current directory\'s); --follow streams new ones')
+  .option('-f, --follow', 'Keep printing events as they are logged, until Ctrl-C')
+  .option('--json', 'One JSON object per line, for scripts')
+  .option('-t, --type <prefix>', 'Only events whose type starts with this, e.g. task. or reward.recorded')
+  .option('-n, --lines <n>', 'How many past events to print first', '20')
+  .option('-a, --all', 'Past events of every session in the workspace, not just the last one')
+  .action(async (name, opts) => {
+    const Session = require('../project_utils/session');
+    await Session.events({ name, ...opts });
+  });
+
+program
+  .command('config <action> [key] [value]')
+  .description('Workspace configuration (.zeroclaw/config.json): get [key] | set <key> <value> | validate')
+  .option('-u, --user', 'set: write the user-level ~/.zeroclaw/config.json instead')
+  .action(async (action, key, value, opts) => {
+    const Session = require('../project_utils/session');
+    await Session.config({ action, key, value, ...opts });
+  });
+
+program
+  .command('attach [name]')
+  .description('Watch a session\'s agents (default: the current directory\'s)')
+  .action(async (name) => {
+    const Session = require('../project_utils/session');
+    await Session.attach({ name });
   });
 
 program.parse(process.argv);
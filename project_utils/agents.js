@@ -0,0 +1,156 @@
+'use strict';
+/**
+ * agents.js — Declarative agent registry.
+ *
+ * Every worker agent zeroclaw can launch is described by data, not code:
+ *
+ *   bin             executable name (also used by the version probe)
+ *   version         args for the install probe, e.g. ['--version']
+ *   launch          shell template; placeholders {bin} {prompt} {promptFile} {workspace} {agent}
+ *   prompt          how the task brief reaches the agent:
+ *                     arg   → one-line instruction appended as an argument
+ *                     file  → path of <agent>-task.md appended as an argument
+ *                     stdin → task brief piped into the command
+ *                     none  → agent reads the brief itself
+ *   superpowersDir  agent config directory that receives the Superpowers clone
+ *   links           Superpowers symlinks: { src, dest }
+ *                     src  — relative to the superpowers clone
+ *                     dest — relative to superpowersDir, or absolute / ~-prefixed
+ *   profile         routing profile (see router.js)
+ *
+ * Built-in entries can be overridden, disabled ({ "enabled": false }) or
+ * extended through the "agents" key of .zeroclaw/config.json or
+ * ~/.zeroclaw/config.json:
+ *
+ *   { "agents": { "aider": { "bin": "aider", "launch": "{bin} --message-file {promptFile}",
+ *                            "profile": { "strengths": ["refactor"], "cost": 1 } } } }
+ *
+ * Agents are detected, listed and offered work in table order; "agentOrder"
+ * (e.g. ["claude", "codex"]) puts the named ones first.
+ */
+
+const path                  = require('path');
+const Config                = require('./config');
+const { expandHome, quote } = require('./shell');
+
+const DEFAULT_AGENTS = {
+  gemini: {
+    bin: 'gemini', version: ['--version'], launch: '{bin}', prompt: 'arg',
+    superpowersDir: '~/.gemini',
+    links:   [{ src: 'skills', dest: 'skills/superpowers' }],
+    profile: { strengths: ['frontend', 'docs', 'research'], cost: 1, maxConcurrent: 2 }
+  },
+  copilot: {
+    bin: 'gh', version: ['--version'], launch: '{bin} copilot suggest -t shell', prompt: 'stdin',
+    superpowersDir: '~/.config/gh-copilot',
+    links:   [],
+    profile: { strengths: ['shell'], cost: 1, maxConcurrent: 1 }
+  },
+  codex: {
+    bin: 'codex', version: ['--version'], launch: '{bin}', prompt: 'file',
+    superpowersDir: '~/.codex',
+    links:   [{ src: 'skills', dest: '~/.agents/skills/superpowers' }],
+    profile: { strengths: ['backend', 'tests', 'refactor'], cost: 2, maxConcurrent: 2 }
+  },
+  opencode: {
+    bin: 'opencode', version: ['--version'], launch: '{bin}', prompt: 'none',
+    superpowersDir: '~/.config/opencode',
+    links: [
+      { src: '.opencode/plugins/superpowers.js', dest: 'plugins/superpowers.js' },
+      { src: 'skills',                           dest: 'skills/superpowers'     }
+    ],
+    profile: { strengths: ['backend', 'frontend', 'refactor'], cost: 2, maxConcurrent: 3 }
+  },
+  claude: {
+    bin: 'claude', version: ['--version'], launch: '{bin}', prompt: 'arg',
+    superpowersDir: '~/.claude',
+    links:   [{ src: 'skills', dest: 'skills/superpowers' }],
+    profile: { strengths: ['backend', 'refactor', 'tests', 'docs'], cost: 3, maxConcurrent: 3 }
+  }
+};
+
+const PROMPT_MODES = ['arg', 'file', 'stdin', 'none'];
+
+class AgentRegistry {
+  /**
+   * @param {object}   defs   name → definition
+   * @param {string[]} order  names to put first, in this order
+   */
+  constructor(defs = {}, order = []) {
+    this.agents = {};
+    const names = [...new Set([...order.filter(n => n in defs), ...Object.keys(defs)])];
+    for (const name of names) {
+      const def = defs[name];
+      if (def.enabled === false) continue;
+      this.agents[name] = {
+        version:        ['--version'],
+        launch:         '{bin}',
+        prompt:         'none',
+        superpowersDir: `~/.${name}`,
+        links:          [],
+        profile:        {},
+        ...def
+      };
+      if (!PROMPT_MODES.includes(this.agents[name].prompt)) {
+        throw new Error(`Agent "${name}": prompt must be one of ${PROMPT_MODES.join(' | ')}`);
+      }
+      if (!this.agents[name].bin) throw new Error(`Agent "${name}": missing "bin"`);
+    }
+  }
+
+  names() {
+    return Object.keys(this.agents);
+  }
+
+  get(name) {
+    return this.agents[name];
+  }
+
+  /** Absolute config directory for an agent (expands ~). */
+  configDir(name) {
+    return expandHome(this.agents[name].superpowersDir);
+  }
+
+  /** Resolve an agent's Superpowers link layout to absolute { src, dest } pairs. */
+  links(name, skillsDir) {
+    const configDir = this.configDir(name);
+    return this.agents[name].links.map(({ src, dest }) => ({
+      src:  path.join(skillsDir, src),
+      dest: dest.startsWith('~') || path.isAbsolute(dest) ? expandHome(dest) : path.join(configDir, dest)
+    }));
+  }
+
+  /**
+   * Render the shell command that starts an agent on its task brief.
+   * @param {string} name
+   * @param {string} promptFile  absolute path of <agent>-task.md
+   * @param {string} workspace
+   */
+  launchCommand(name, promptFile, workspace) {
+    const agent = this.agents[name];
+    const vars  = {
+      bin:        agent.bin,
+      agent:      name,
+      workspace:  quote(workspace),
+      promptFile: quote(promptFile),
+      prompt:     quote(`Read ${promptFile} and complete the tasks it assigns.`)
+    };
+
+    let template = agent.launch;
+    if (agent.prompt === 'arg'  && !template.includes('{prompt}'))     template += ' {prompt}';
+    if (agent.prompt === 'file' && !template.includes('{promptFile}')) template += ' {promptFile}';
+
+    const cmd = template.replace(/\{(\w+)\}/g, (m, key) => (key in vars ? vars[key] : m));
+    return agent.prompt === 'stdin' ? `cat ${vars.promptFile} | ${cmd}` : cmd;
+  }
+
+  /** Built-in agents merged with the "agents" key of the user/workspace config, in "agentOrder". */
+  static async load(workspace) {
+    const config = await Config.load(workspace);
+    const defs   = Config.merge(DEFAULT_AGENTS, config.get('agents', {}));
+    return new AgentRegistry(defs, config.get('agentOrder', []));
+  }
+}
+
+AgentRegistry.DEFAULT_AGENTS = DEFAULT_AGENTS;
+module.exports               = AgentRegistry;
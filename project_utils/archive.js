@@ -0,0 +1,174 @@
+'use strict';
+/**
+ * archive.js — End-of-session archive under docs/session-logs/.
+ *
+ * When a session exits or is killed, everything needed to look back at it is
+ * copied into docs/session-logs/<started-at>-<name>/:
+ *
+ *   archive.json     summary: name, id, times, final state, task counts, agents
+ *   session.json     the session state as it ended
+ *   tasks/           <agent>-task.md briefs, queue.json and journal.jsonl
+ *   plan/            .planning/**\/*.md (PLAN.md, implement.md, phase plans, …)
+ *   rewards.json     successes / errors per agent during the session (+ lightning-summary.json)
+ *   panes/           tmux scrollback per window, or the pty logs
+ *   git-log.txt      commits made on any branch since the session started
+ *   events.jsonl     the session's events (see events.js)
+ *
+ * A session killed after it exited is archived again into the same folder, so
+ * the pane history is the final one. `zeroclaw history` lists and shows archives.
+ */
+
+const path      = require('path');
+const fs        = require('fs-extra');
+const Git       = require('./git');
+const Lightning = require('./lightning');
+const Events    = require('./events');
+const { TmuxRunner } = require('./runner');
+
+class SessionArchive {
+  constructor(workspace) {
+    this.workspace = workspace;
+    this.root      = path.join(workspace, 'docs', 'session-logs');
+    this.zcDir     = path.join(workspace, '.zeroclaw');
+  }
+
+  /**
+   * Write (or refresh) a session's archive.
+   * @param {object} state   session.json contents
+   * @param {string} reason  'exit' | 'kill'
+   * @returns {Promise<string>}  the archive directory, relative to the workspace
+   */
+  async write(state, reason) {
+    const dir = state.archive
+      ? path.join(this.workspace, state.archive)
+      : path.join(this.root, `${stamp(state.startedAt)}-${state.name || 'zeroclaw'}`);
+    await fs.ensureDir(dir);
+
+    const tasks   = await this._tasks(path.join(dir, 'tasks'));
+    const rewards = await this._rewards(state.startedAt);
+    await this._plan(path.join(dir, 'plan'));
+    await this._panes(path.join(dir, 'panes'), state);
+    await fs.writeJson(path.join(dir, 'rewards.json'), rewards, { spaces: 2 });
+    await fs.writeFile(path.join(dir, 'git-log.txt'), await new Git(this.workspace).logSince(state.startCommit, state.startedAt));
+    await Events.for(this.workspace).flush();
+    const events = await Events.read(this.workspace, { session: state.id });
+    await fs.writeFile(path.join(dir, 'events.jsonl'), events.map(e => JSON.stringify(e) + '\n').join(''));
+
+    const archive = path.relative(this.workspace, dir);
+    await fs.writeJson(path.join(dir, 'session.json'), { ...state, archive }, { spaces: 2 });
+    await fs.writeJson(path.join(dir, 'archive.json'), {
+      id:         state.id,
+      name:       state.name || null,
+      workspace:  this.workspace,
+      startedAt:  state.startedAt || null,
+      endedAt:    state.endedAt || new Date().toISOString(),
+      archivedAt: new Date().toISOString(),
+      reason,
+      state:      state.state || null,
+      runner:     state.runner || null,
+      tasks,
+      agents:     rewards.agents,
+      events:     events.length
+    }, { spaces: 2 });
+    return archive;
+  }
+
+  /**
+   * Archives in this workspace, newest first.
+   * @returns {Promise<Array<object>>}  archive.json contents plus { folder, dir }
+   */
+  static async list(workspace) {
+    const root = path.join(workspace, 'docs', 'session-logs');
+    if (!await fs.pathExists(root)) return [];
+    const archives = [];
+    for (const folder of await fs.readdir(root)) {
+      const dir = path.join(root, folder);
+      try {
+        archives.push({ folder, dir, ...await fs.readJson(path.join(dir, 'archive.json')) });
+      } catch { /* not an archive */ }
+    }
+    return archives.sort((a, b) => b.folder.localeCompare(a.folder));
+  }
+
+  /**
+   * An archive by folder name; else the newest whose folder or session id
+   * starts with `ref`, or whose session was named `ref`.
+   * @returns {Promise<object|null>}
+   */
+  static async find(workspace, ref) {
+    const archives = await SessionArchive.list(workspace);
+    return archives.find(a => a.folder === ref) ||
+           archives.find(a => a.folder.startsWith(ref) || String(a.id).startsWith(ref) || a.name === ref) ||
+           null;
+  }
+
+  /* ── Parts ──────────────────────────────────────────────────────── */
+
+  /** Task briefs, the queue and its journal; returns task counts. */
+  async _tasks(dest) {
+    await fs.ensureDir(dest);
+    if (await fs.pathExists(this.zcDir)) {
+      for (const f of await fs.readdir(this.zcDir)) {
+        if (f.endsWith('-task.md') || f === 'queue.json' || f === 'journal.jsonl') await fs.copy(path.join(this.zcDir, f), path.join(dest, f));
+      }
+    }
+    try {
+      const { tasks = [] } = await fs.readJson(path.join(this.zcDir, 'queue.json'));
+      return { total: tasks.length, done: tasks.filter(t => t.status === 'done').length };
+    } catch {
+      return { total: 0, done: 0 };
+    }
+  }
+
+  async _plan(dest) {
+    const planDir = path.join(this.workspace, '.planning');
+    if (!await fs.pathExists(planDir)) return;
+    await fs.copy(planDir, dest, {
+      filter: async src => (await fs.stat(src)).isDirectory() || src.endsWith('.md')
+    });
+  }
+
+  /** Successes and errors per agent since the session started (by file time). */
+  async _rewards(startedAt) {
+    const since       = startedAt ? Date.parse(startedAt) : 0;
+    const summaryFile = path.join(this.zcDir, 'lightning-summary.json');
+    const lightning   = (await recent(this.zcDir, since)).includes(summaryFile) ? await fs.readJson(summaryFile) : null;
+    return { ...await Lightning.rewards(this.workspace, since), lightning };
+  }
+
+  async _panes(dest, state) {
+    await fs.ensureDir(dest);
+    if (state.runner === 'pty') {
+      const logs = path.join(this.zcDir, 'logs');
+      if (await fs.pathExists(logs)) await fs.copy(logs, dest);
+      return;
+    }
+    const tmux = new TmuxRunner(this.workspace, { sessionName: state.name || 'zeroclaw' });
+    for (const window of await tmux.windows()) {
+      try {
+        await fs.writeFile(path.join(dest, `${window}.txt`), await tmux.scrollback(window));
+      } catch { /* window closed meanwhile */ }
+    }
+  }
+}
+
+/* ── Helpers ─────────────────────────────────────────────────────── */
+
+/** "2025-06-01T10:04:12.345Z" → "2025-06-01T10-04-12Z" (safe as a folder name) */
+function stamp(iso) {
+  return (iso || new Date().toISOString()).slice(0, 19).replace(/:/g, '-') + 'Z';
+}
+
+/** Files in `dir` modified at or after `since` (ms). */
+async function recent(dir, since) {
+  if (!await fs.pathExists(dir)) return [];
+  const files = [];
+  for (const f of await fs.readdir(dir)) {
+    const file = path.join(dir, f);
+    const stat = await fs.stat(file);
+    if (stat.isFile() && stat.mtimeMs >= since) files.push(file);
+  }
+  return files;
+}
+
+module.exports = SessionArchive;
@@ -0,0 +1,109 @@
+'use strict';
+/**
+ * capacity.js — Concurrency limits for agent launches.
+ *
+ * Four LLM TUIs plus builds are enough to choke a laptop, so the supervisor
+ * only launches an agent when the machine has room for it:
+ *
+ *   maxParallelAgents  — agents running at once (0 = no limit)
+ *   maxLoadPerCpu      — 1-minute load average divided by CPU count (0 = ignore)
+ *   minFreeMemoryMB    — free memory required to launch another agent (0 = ignore)
+ *
+ * Launches are staggered by `staggerSeconds` so each agent's start-up shows
+ * in the load average before the next one is judged. An agent that does not
+ * fit is held: its tasks go back in the queue and, every `intervalSeconds`,
+ * the Distributor retries held agents one at a time.
+ */
+
+const os      = require('os');
+const { log } = require('./ui');
+
+const DEFAULTS = {
+  maxParallelAgents: 0,
+  maxLoadPerCpu:     0,
+  minFreeMemoryMB:   0,
+  staggerSeconds:    5,
+  intervalSeconds:   15
+};
+
+class Capacity {
+  /**
+   * @param {Distributor} distributor  provides `launched`, `lastLaunchAt`, `pending` and `launchPending()`
+   * @param {object}      opts         overrides for DEFAULTS (config key "concurrency")
+   */
+  constructor(distributor, opts = {}) {
+    this.distributor = distributor;
+    this.opts        = { ...DEFAULTS, ...opts };
+    this.timer       = null;
+    this.busy        = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.check(), this.opts.intervalSeconds * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async check() {
+    if (this.busy) return;
+    this.busy = true;
+    try {
+      await this.distributor.launchPending();
+    } catch (err) {
+      log.warn(`Capacity check: ${err.message}`);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * May one more agent be launched right now?
+   * @returns {{ok:boolean, reason:string|null, waitMs?:number}}  waitMs: only the stagger is in the way
+   */
+  gate() {
+    const { maxParallelAgents, maxLoadPerCpu, minFreeMemoryMB } = this.opts;
+    const { running, loadPerCpu, freeMemoryMB } = this._measure();
+
+    if (maxParallelAgents && running >= maxParallelAgents) {
+      return { ok: false, reason: `${running}/${maxParallelAgents} agents running` };
+    }
+    if (maxLoadPerCpu && loadPerCpu > maxLoadPerCpu) {
+      return { ok: false, reason: `load ${loadPerCpu.toFixed(2)}/cpu over ${maxLoadPerCpu}` };
+    }
+    if (minFreeMemoryMB && freeMemoryMB < minFreeMemoryMB) {
+      return { ok: false, reason: `${freeMemoryMB} MB free, need ${minFreeMemoryMB} MB` };
+    }
+
+    const waitMs = this.opts.staggerSeconds * 1000 - (Date.now() - this.distributor.lastLaunchAt);
+    if (waitMs > 0) {
+      return { ok: false, reason: `staggering launches (${Math.ceil(waitMs / 1000)}s)`, waitMs };
+    }
+    return { ok: true, reason: null };
+  }
+
+  /** Limits and current readings, as shown by `zeroclaw status`. */
+  snapshot() {
+    const { maxParallelAgents, maxLoadPerCpu, minFreeMemoryMB } = this.opts;
+    return {
+      limits:  { maxParallelAgents, maxLoadPerCpu, minFreeMemoryMB },
+      ...this._measure(),
+      pending: [...this.distributor.pending],
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  _measure() {
+    return {
+      running:      this.distributor.launched.size,
+      loadPerCpu:   Math.round(os.loadavg()[0] / os.cpus().length * 100) / 100,
+      freeMemoryMB: Math.round(os.freemem() / 1048576)
+    };
+  }
+}
+
+Capacity.DEFAULTS = DEFAULTS;
+module.exports    = Capacity;
@@ -0,0 +1,131 @@
+'use strict';
+/**
+ * config.js — Workspace and user configuration.
+ *
+ * Reads, in order (later files win):
+ *   ~/.zeroclaw/config.json           user-level defaults
+ *   <workspace>/.zeroclaw/config.json workspace overrides
+ *
+ * Plain objects are merged key by key; arrays and scalars are replaced.
+ * Both files are checked against configschema.js when a session starts;
+ * `zeroclaw config get | set | validate` reads and edits them.
+ */
+
+const path     = require('path');
+const os       = require('os');
+const fs       = require('fs-extra');
+const Schema   = require('./configschema');
+const { log }  = require('./ui');
+
+class Config {
+  constructor(workspace) {
+    this.workspace     = workspace;
+    this.userFile      = path.join(os.homedir(), '.zeroclaw', 'config.json');
+    this.workspaceFile = path.join(workspace, '.zeroclaw', 'config.json');
+    this.data          = {};
+  }
+
+  async load() {
+    this.data = {};
+    for (const file of [this.userFile, this.workspaceFile]) {
+      if (!await fs.pathExists(file)) continue;
+      try {
+        this.data = merge(this.data, await fs.readJson(file));
+      } catch (err) {
+        log.warn(`Ignoring unreadable config ${file}: ${err.message}`);
+      }
+    }
+    return this;
+  }
+
+  /** Dotted-path lookup: config.get('agents.claude.bin') */
+  get(key, fallback) {
+    let value = this.data;
+    for (const part of key.split('.')) {
+      if (value == null || typeof value !== 'object') return fallback;
+      value = value[part];
+    }
+    return value === undefined ? fallback : value;
+  }
+
+  /**
+   * Check both files against the schema.
+   * @returns {Promise<string[]>}  problems, each prefixed with its file ("~/.zeroclaw/config.json: …")
+   */
+  async validate() {
+    const problems = [];
+    for (const file of [this.userFile, this.workspaceFile]) {
+      if (!await fs.pathExists(file)) continue;
+      const label = this.label(file);
+      try {
+        problems.push(...Schema.validate(await fs.readJson(file)).map(p => `${label}: ${p}`));
+      } catch (err) {
+        problems.push(`${label}: not valid JSON (${err.message.replace(`${file}: `, '')})`);
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Set one dotted key in the workspace file (or the user file) and save it,
+   * unless the result would not validate.
+   * @param {string} key
+   * @param {*}      value
+   * @param {object} opts  { user } — write ~/.zeroclaw/config.json instead
+   * @returns {Promise<string[]>}  problems; empty when the file was written
+   */
+  async set(key, value, { user = false } = {}) {
+    const file = user ? this.userFile : this.workspaceFile;
+    if (!Schema.schemaAt(key)) {
+      const problems = Schema.validate(nest(key, value));
+      return problems.length ? problems : [`${key} is not a known key`];
+    }
+    let data = {};
+    if (await fs.pathExists(file)) {
+      try {
+        data = await fs.readJson(file);
+      } catch (err) {
+        return [`${this.label(file)}: not valid JSON (${err.message.replace(`${file}: `, '')})`];
+      }
+    }
+    const updated  = merge(data, nest(key, value));
+    const problems = Schema.validate(updated).map(p => `${this.label(file)}: ${p}`);
+    if (problems.length) return problems;
+
+    await fs.ensureDir(path.dirname(file));
+    await fs.writeJson(file, updated, { spaces: 2 });
+    await this.load();
+    return [];
+  }
+
+  /** "~/.zeroclaw/config.json" or ".zeroclaw/config.json", for messages. */
+  label(file) {
+    return file === this.userFile
+      ? path.join('~', path.relative(os.homedir(), file))
+      : path.relative(this.workspace, file);
+  }
+
+  static async load(workspace) {
+    return new Config(workspace).load();
+  }
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function merge(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? merge(out[key], value) : value;
+  }
+  return out;
+}
+
+/** 'tmux.width', 200 → { tmux: { width: 200 } } */
+function nest(key, value) {
+  return key.split('.').reduceRight((inner, part) => ({ [part]: inner }), value);
+}
+
+Config.merge = merge;
+module.exports = Config;
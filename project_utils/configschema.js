@@ -0,0 +1,182 @@
+'use strict';
+/**
+ * configschema.js — What .zeroclaw/config.json may contain.
+ *
+ * Both the user file (~/.zeroclaw/config.json) and the workspace file are
+ * checked against SCHEMA when a session starts and by `zeroclaw config
+ * validate`. Every key is optional; a key that is not set keeps the built-in
+ * default of the module that reads it. Unknown keys are errors, so a typo
+ * never silently falls back to a default:
+ *
+ *   .zeroclaw/config.json: tmux.widht is not a known key (did you mean "width"?)
+ *   .zeroclaw/config.json: runner must be one of tmux | pty, got "screen"
+ */
+
+const LAYOUTS = ['tiled', 'even-horizontal', 'even-vertical', 'main-horizontal', 'main-vertical'];
+
+/* ── Node types ───────────────────────────────────────────────────── */
+
+const str  = { type: 'string' };
+const bool = { type: 'boolean' };
+const int  = (min = null, max = null) => ({ type: 'integer', min, max });
+const num  = (min = null, max = null) => ({ type: 'number', min, max });
+const port = int(1, 65535);
+
+const oneOf    = (...values) => ({ type: 'enum', values });
+const list     = items => ({ type: 'array', items });
+const obj      = properties => ({ type: 'object', properties });
+const map      = values => ({ type: 'map', values });   // free keys (agent names, …), one schema for every value
+const nullable = schema => ({ ...schema, nullable: true });
+
+const SCHEMA = obj({
+  runner:     oneOf('tmux', 'pty'),
+  agentOrder: list(str),
+  tmux:       obj({ layout: oneOf(...LAYOUTS), width: int(20), height: int(10) }),
+  lightning:  obj({ enabled: bool, proxyPort: port, storePort: port }),
+  git:        obj({ ignore: list(str) }),
+  agents: map(obj({
+    enabled:        bool,
+    bin:            str,
+    version:        list(str),
+    launch:         str,
+    prompt:         oneOf('arg', 'file', 'stdin', 'none'),
+    superpowersDir: str,
+    links:          list(obj({ src: str, dest: str })),
+    profile:        obj({ strengths: list(str), cost: num(0), maxConcurrent: int(0) })
+  })),
+  runtimes: map(obj({
+    enabled: bool,
+    bin:     str,
+    version: list(str),
+    invoke:  str,
+    input:   oneOf('stdin', 'arg'),
+    gsdFlag: str,
+    gsdDir:  nullable(str)
+  })),
+  planner: obj({
+    provider: oneOf('auto', 'gsd', 'native'),
+    gsd:      obj({ runtime: str, install: oneOf('never', 'ask', 'always') }),
+    native:   obj({ baseUrl: nullable(str), model: str, apiKeyEnv: str, timeoutSeconds: int(1) })
+  }),
+  lint: obj({
+    rules: obj(Object.fromEntries(
+      ['duplicate', 'vague', 'missing-acceptance', 'too-long', 'same-files', 'empty-phase']
+        .map(rule => [rule, oneOf('error', 'warning', 'off')])
+    )),
+    maxTitleWords:    int(1),
+    maxBudgetMinutes: int(1),
+    maxSubtasks:      int(1),
+    minTitleWords:    int(0)
+  }),
+  concurrency: obj({
+    maxParallelAgents: int(0),
+    maxLoadPerCpu:     num(0),
+    minFreeMemoryMB:   int(0),
+    staggerSeconds:    num(0),
+    intervalSeconds:   num(1)
+  }),
+  watchdog: obj({
+    intervalSeconds:    num(1),
+    stuckMinutes:       num(1),
+    maxRestarts:        int(0),
+    crashLoopCount:     int(1),
+    crashWindowMinutes: num(1)
+  }),
+  tasks: obj({ budgetMinutes: num(1), intervalSeconds: num(1) }),
+  intent: obj({
+    classifier:   oneOf('regex', 'llm'),
+    confirmBelow: num(0, 1),
+    llm:          obj({ baseUrl: nullable(str), model: str, apiKeyEnv: str, timeoutSeconds: int(1) })
+  })
+});
+
+/**
+ * Check a config object against the schema.
+ * @param {*}      value
+ * @param {object} schema  a node of SCHEMA (default: the whole file)
+ * @param {string} at      dotted path of `value`, for messages
+ * @returns {string[]}  one message per problem, e.g. 'tmux.width must be an integer ≥ 20, got "wide"'
+ */
+function validate(value, schema = SCHEMA, at = '') {
+  const name = at || 'the config';
+  if (value === null && schema.nullable) return [];
+
+  switch (schema.type) {
+    case 'string':
+    case 'boolean':
+      return typeof value === schema.type ? [] : [`${name} must be a ${schema.type}, got ${show(value)}`];
+
+    case 'integer':
+    case 'number': {
+      const ok = typeof value === 'number' && Number.isFinite(value) && (schema.type === 'number' || Number.isInteger(value)) &&
+                 (schema.min == null || value >= schema.min) && (schema.max == null || value <= schema.max);
+      if (ok) return [];
+      const range = schema.min != null && schema.max != null ? ` from ${schema.min} to ${schema.max}`
+                  : schema.min != null ? ` ≥ ${schema.min}` : '';
+      return [`${name} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}${range}, got ${show(value)}`];
+    }
+
+    case 'enum':
+      return schema.values.includes(value) ? [] : [`${name} must be one of ${schema.values.join(' | ')}, got ${show(value)}`];
+
+    case 'array':
+      if (!Array.isArray(value)) return [`${name} must be a list, got ${show(value)}`];
+      return value.flatMap((item, i) => validate(item, schema.items, `${at}[${i}]`));
+
+    case 'object':
+    case 'map': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) return [`${name} must be an object, got ${show(value)}`];
+      return Object.entries(value).flatMap(([key, v]) => {
+        const path = at ? `${at}.${key}` : key;
+        if (schema.type === 'map') return validate(v, schema.values, path);
+        if (schema.properties[key]) return validate(v, schema.properties[key], path);
+        const guess = closest(key, Object.keys(schema.properties));
+        return [`${path} is not a known key${guess ? ` (did you mean "${guess}"?)` : ''}`];
+      });
+    }
+  }
+  return [];
+}
+
+/** The schema node for a dotted key, or null when the key is not allowed. */
+function schemaAt(key, schema = SCHEMA) {
+  for (const part of key.split('.')) {
+    if (schema.type === 'map')         schema = schema.values;
+    else if (schema.type === 'object') schema = schema.properties[part];
+    else return null;
+    if (!schema) return null;
+  }
+  return schema;
+}
+
+/* ── Helpers ─────────────────────────────────────────────────────── */
+
+function show(value) {
+  if (value === undefined) return 'nothing';
+  return Array.isArray(value) ? 'a list' : JSON.stringify(value);
+}
+
+/** A known key within two edits of `key` (typos), or null. */
+function closest(key, known) {
+  let best = null;
+  let bestDistance = 3;
+  for (const k of known) {
+    const d = distance(key.toLowerCase(), k.toLowerCase());
+    if (d < bestDistance) [best, bestDistance] = [k, d];
+  }
+  return best;
+}
+
+function distance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+module.exports = { SCHEMA, LAYOUTS, validate, schemaAt };
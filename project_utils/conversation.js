@@ -4,7 +4,8 @@
  *
  * Responsibilities:
  *  - Present the user with a clear prompt
- *  - Classify the user's message into an intent
+ *  - Classify the user's message into an intent (intents.js: keyword rules or
+ *    an LLM, per the "intent" config key); ask first when the classifier is unsure
  *  - Pass intent + context to session.dispatch()
  *
  * Intent classes:
@@ -17,22 +18,23 @@
 
 const readline = require('readline');
 const chalk    = require('chalk');
+const Config   = require('./config');
+const Intents  = require('./intents');
 const { log }  = require('./ui');
 
-/** Simple keyword classifier — replace with LLM call if desired */
-function classifyIntent(text) {
-  const t = text.toLowerCase();
-  if (/\b(exit|quit|bye|done|end session)\b/.test(t)) return 'exit';
-  if (/\b(new project|init|initialise|initialize|scaffold|start fresh|create project)\b/.test(t)) return 'project_init';
-  if (/\b(continue|resume|pick up|restore|where (was|were) (i|we))\b/.test(t)) return 'continue';
-  if (/\b(new (feature|task|plan)|add|implement|build|fix|refactor|update|create)\b/.test(t)) return 'new_task';
-  return 'unknown';
-}
+// How a guess is put to the user when confidence is low
+const LABELS = {
+  project_init: 'start a new project',
+  new_task:     'plan a new task',
+  continue:     'resume the previous session\'s work',
+  exit:         'end the session'
+};
 
 class Conversation {
   constructor(workspace, session) {
-    this.workspace = workspace;
-    this.session   = session;
+    this.workspace  = workspace;
+    this.session    = session;
+    this.classifier = null;   // set up by _classify
     this.rl = readline.createInterface({
       input:  process.stdin,
       output: process.stdout
@@ -43,6 +45,8 @@ class Conversation {
     log.info(
       chalk.cyan('zeroclaw supervisor ready.\n') +
       chalk.gray('Commands: "new project" | "new task: ..." | "continue" | "exit"\n') +
+      chalk.gray('Add "--preview" to see assignments and launch commands before anything starts,\n') +
+      chalk.gray('or "--force" to distribute a plan that fails linting.\n') +
       chalk.gray('Type anything to start — I\'ll figure out the rest.\n')
     );
 
@@ -50,8 +54,20 @@ class Conversation {
       const input = await this._prompt(chalk.green('you › '));
       if (!input.trim()) continue;
 
-      const intent  = classifyIntent(input);
-      const context = { raw: input, intent };
+      const request = Intents.switches(input);
+      const guess   = await this._classify(request.text);
+      const intent  = guess.intent !== 'unknown' && guess.confidence < this.confirmBelow
+        ? await this._confirm(guess)
+        : guess.intent;
+      const context = {
+        raw:        request.text,
+        intent,
+        confidence: guess.confidence,
+        entities:   guess.entities,
+        preview:    request.preview,
+        force:      request.force,
+        ask:        q => this._prompt(q)
+      };
 
       if (intent === 'exit') {
         await this.session.dispatch('exit', context);
@@ -77,6 +93,24 @@ class Conversation {
     this.rl.close();
   }
 
+  /** The "intent" config's classifier, set up on the first message. */
+  async _classify(text) {
+    if (!this.classifier) {
+      const config      = (await Config.load(this.workspace)).get('intent', {});
+      this.classifier   = Intents.createClassifier(config);
+      this.confirmBelow = config.confirmBelow ?? Intents.DEFAULTS.confirmBelow;
+    }
+    return this.classifier.classify(text);
+  }
+
+  /** Ask whether an unsure guess is right; 'unknown' unless the user says yes. */
+  async _confirm({ intent, confidence, entities }) {
+    const what   = (intent === 'new_task' || intent === 'project_init') && entities.description ? ` — "${entities.description}"` : '';
+    const answer = await this._prompt(chalk.yellow(`Did you mean: ${LABELS[intent]}${what}? `) +
+      chalk.gray(`(${Math.round(confidence * 100)}% sure) [y/N] `));
+    return /^\s*y(es)?\b/i.test(answer) ? intent : 'unknown';
+  }
+
   _prompt(question) {
     return new Promise(resolve => this.rl.question(question, resolve));
   }
@@ -0,0 +1,238 @@
+'use strict';
+/**
+ * dashboard.js — What `zeroclaw status` shows for one session.
+ *
+ * Everything is read back from the workspace, so it works from any shell
+ * while the supervisor runs (or after it has gone):
+ *
+ *   session.json             lifecycle, agents launched, worktrees, concurrency
+ *   queue.json               who holds which task, what is done
+ *   lightning-spans/ errors/ rewards and errors per agent, last activity
+ *   .planning/implement.md   ticked / cancelled / open items
+ *   tmux or pty.json         whether each agent's pane is still alive
+ *   events.jsonl             the session's latest events (see events.js)
+ *
+ *   AGENT     TASK                     DONE  LEFT  ACTIVE   ERR  REWARD  BRANCH                          PANE
+ *   claude    #3 Build the API            2     1  2m ago     0      +2  feature/claude/build-the-api    alive
+ *   gemini    —                           1     0  14m ago    1       0  feature/gemini/landing-page     exited
+ *
+ * collect() returns the data (`zeroclaw status --json`); render() lays it out.
+ */
+
+const path       = require('path');
+const fs         = require('fs-extra');
+const chalk      = require('chalk');
+const PlanFile   = require('./planfile');
+const Lightning  = require('./lightning');
+const Sessions   = require('./sessions');
+const Events     = require('./events');
+const { TmuxRunner } = require('./runner');
+
+const RECENT_EVENTS = 8;
+
+class Dashboard {
+  constructor(workspace) {
+    this.workspace = workspace;
+    this.zcDir     = path.join(workspace, '.zeroclaw');
+  }
+
+  /** @returns {Promise<object>}  session summary, plan progress and one row per agent */
+  async collect() {
+    const state   = await fs.readJson(path.join(this.zcDir, 'session.json'));
+    const tasks   = await this._queue();
+    const rewards = await Lightning.rewards(this.workspace, state.startedAt ? Date.parse(state.startedAt) : 0);
+    const panes   = await this._panes(state);
+
+    const launched = state.agents || [];
+    const names    = [...new Set([
+      ...launched.map(a => a.name),
+      ...(state.worktrees || []).map(w => w.agent),
+      ...tasks.filter(t => t.agent).map(t => t.agent),
+      ...Object.keys(rewards.agents).filter(a => a !== 'unknown')
+    ])];
+
+    const agents = names.map(name => {
+      const held    = tasks.filter(t => t.agent === name);
+      const open    = held.filter(t => t.status === 'claimed');
+      const current = [...open].sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''))[0];
+      const reward  = rewards.agents[name] || { done: 0, errors: 0, score: 0, lastAt: null };
+      const pane    = panes[name] || { alive: false, reason: 'not launched' };
+      return {
+        name,
+        task:         current ? { id: current.id, title: current.title } : null,
+        done:         held.filter(t => t.status === 'done').length,
+        remaining:    open.length,
+        lastActivity: latest([
+          reward.lastAt,
+          launched.find(a => a.name === name)?.launchedAt,
+          ...held.flatMap(t => [t.claimedAt, t.startedAt, t.doneAt])
+        ]),
+        errors:       reward.errors,
+        reward:       reward.score,
+        branch:       (state.worktrees || []).find(w => w.agent === name)?.branch || null,
+        pane:         pane.alive ? 'alive' : pane.reason
+      };
+    });
+
+    return {
+      name:        state.name || null,
+      id:          state.id,
+      workspace:   this.workspace,
+      status:      state.status || null,
+      runner:      state.runner || null,
+      startedAt:   state.startedAt || null,
+      lifecycle:   { state: state.state || null, since: state.since || null, history: (state.history || []).slice(-5) },
+      tasks: {
+        total:   tasks.length,
+        done:    tasks.filter(t => t.status === 'done').length,
+        claimed: tasks.filter(t => t.status === 'claimed').length,
+        pending: tasks.filter(t => t.status === 'pending').length
+      },
+      implement:   await this._implement(),
+      agents,
+      rewardTotal: rewards.total,
+      concurrency: state.concurrency || null,
+      events:      (await Events.read(this.workspace, { session: state.id })).slice(-RECENT_EVENTS),
+      updatedAt:   new Date().toISOString()
+    };
+  }
+
+  /** The collected data as terminal lines. */
+  render(data) {
+    const lines = [];
+    const out   = (s = '') => lines.push(s);
+
+    out(chalk.cyan(`\nZeroclaw Session${data.name ? ` — ${data.name}` : ''}`) + chalk.gray(`  ${data.workspace}`));
+    out(`  ${chalk.bold(data.lifecycle.state || data.status || '?')}` +
+      (data.lifecycle.since ? ` since ${data.lifecycle.since} (${ago(data.lifecycle.since)})` : '') +
+      chalk.gray(`  · ${data.runner || '?'} · id ${String(data.id).slice(0, 8)}`));
+
+    const t = data.tasks;
+    out(chalk.cyan('\nTasks'));
+    out(`  queue            ${t.done} done · ${t.claimed} in progress · ${t.pending} waiting  (of ${t.total})`);
+    if (data.implement) {
+      const i = data.implement;
+      out(`  implement.md     ${i.done} of ${i.total} ticked${i.cancelled ? ` · ${i.cancelled} cancelled` : ''}`);
+    }
+
+    out(chalk.cyan('\nAgents'));
+    if (!data.agents.length) {
+      out(chalk.gray('  No agents launched yet.'));
+    } else {
+      const rows = data.agents.map(a => [
+        a.name,
+        a.task ? clip(`#${a.task.id} ${a.task.title}`, 32) : '—',
+        String(a.done),
+        String(a.remaining),
+        a.lastActivity ? ago(a.lastActivity) : '—',
+        String(a.errors),
+        a.reward > 0 ? `+${a.reward}` : String(a.reward),
+        a.branch || '—',
+        a.pane
+      ]);
+      const head   = ['AGENT', 'TASK', 'DONE', 'LEFT', 'ACTIVE', 'ERR', 'REWARD', 'BRANCH', 'PANE'];
+      const right  = new Set([2, 3, 5, 6]);
+      const widths = head.map((h, c) => Math.max(h.length, ...rows.map(r => r[c].length)));
+      const cells  = row => row.map((v, c) => (right.has(c) ? v.padStart(widths[c]) : c < row.length - 1 ? v.padEnd(widths[c]) : v));
+
+      out(chalk.gray(`  ${cells(head).join('  ')}`));
+      for (const [i, row] of rows.entries()) {
+        const a = data.agents[i];
+        const [name, task, done, left, active, errors, reward, branch, pane] = cells(row);
+        out(`  ${chalk.bold(name)}  ${task}  ${done}  ${left}  ${chalk.gray(active)}  ` +
+          `${a.errors ? chalk.red(errors) : errors}  ${a.reward < 0 ? chalk.red(reward) : reward}  ` +
+          `${chalk.gray(branch)}  ${a.pane === 'alive' ? chalk.green(pane) : chalk.yellow(pane)}`);
+      }
+      out(chalk.gray(`  reward total ${data.rewardTotal}`));
+    }
+
+    if (data.lifecycle.history.length) {
+      out(chalk.cyan('\nLifecycle'));
+      data.lifecycle.history.forEach(h =>
+        out(chalk.gray(`  ${h.at}  ${h.from} → ${h.to}${h.reason ? `  (${h.reason})` : ''}`)));
+    }
+
+    if (data.events.length) {
+      out(chalk.cyan('\nRecent events'));
+      data.events.forEach(e =>
+        out(`  ${chalk.gray(e.at.slice(11, 19))}  ${e.type.padEnd(18)}  ${Events.describe(e)}`));
+    }
+
+    const c = data.concurrency;
+    if (c) {
+      const limit = (value, unit = '') => value ? `${value}${unit}` : 'off';
+      out(chalk.cyan('\nConcurrency'));
+      out(`  agents running   ${c.running} / ${limit(c.limits.maxParallelAgents)}`);
+      out(`  load per cpu     ${c.loadPerCpu} (max ${limit(c.limits.maxLoadPerCpu)})`);
+      out(`  free memory      ${c.freeMemoryMB} MB (min ${limit(c.limits.minFreeMemoryMB, ' MB')})`);
+      out(`  waiting          ${c.pending.length ? c.pending.join(', ') : 'none'}`);
+    }
+    return lines.join('\n');
+  }
+
+  /* ── Sources ────────────────────────────────────────────────────── */
+
+  async _queue() {
+    try {
+      return (await fs.readJson(path.join(this.zcDir, 'queue.json'))).tasks || [];
+    } catch {
+      return [];
+    }
+  }
+
+  /** Item counts in .planning/implement.md; null when there is none. */
+  async _implement() {
+    const file = path.join(this.workspace, '.planning', 'implement.md');
+    if (!await fs.pathExists(file)) return null;
+    const items = PlanFile.parse(await fs.readFile(file, 'utf8')).tasks;
+    return {
+      total:     items.length,
+      done:      items.filter(i => i.done && !i.cancelled).length,
+      cancelled: items.filter(i => i.cancelled).length
+    };
+  }
+
+  /** agent → { alive, reason } for the panes of this session's runner. */
+  async _panes(state) {
+    const panes = {};
+    if (state.runner === 'pty') {
+      // Live pty children are recorded by the supervisor; they die with it
+      const pids = await fs.readJson(path.join(this.zcDir, 'pty.json')).catch(() => ({}));
+      for (const a of state.agents || []) {
+        panes[a.name] = Sessions.pidAlive(pids[a.window || a.name])
+          ? { alive: true }
+          : { alive: false, reason: 'exited' };
+      }
+      return panes;
+    }
+    const tmux = new TmuxRunner(this.workspace, { sessionName: state.name || 'zeroclaw' });
+    for (const a of state.agents || []) {
+      const { alive, reason } = await tmux.inspect(a.window || a.name);
+      panes[a.name] = { alive, reason };
+    }
+    return panes;
+  }
+}
+
+/* ── Helpers ─────────────────────────────────────────────────────── */
+
+/** The most recent of some ISO times (null when there are none). */
+function latest(times) {
+  const ms = times.filter(Boolean).map(t => Date.parse(t)).filter(t => !Number.isNaN(t));
+  return ms.length ? new Date(Math.max(...ms)).toISOString() : null;
+}
+
+/** "just now" / "4m ago" / "2h ago" / "3d ago" */
+function ago(iso) {
+  const s = Math.max(0, Math.round((Date.now() - Date.parse(iso)) / 1000));
+  if (s < 60)    return 'just now';
+  if (s < 3600)  return `${Math.floor(s / 60)}m ago`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ago`;
+  return `${Math.floor(s / 86400)}d ago`;
+}
+
+function clip(s, n) {
+  return s.length > n ? `${s.slice(0, n - 1)}…` : s;
+}
+
+module.exports = Dashboard;
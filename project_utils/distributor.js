@@ -14,48 +14,134 @@
  *   Superpowers is pre-installed in each agent's config directory before launch.
  *   The TUI panes show agents working live (coding, editing, planning).
  *
- * Each agent runs in its own tmux pane inside a session named "zeroclaw".
+ * Each agent runs in its own tmux pane inside the tmux session named after the
+ * zeroclaw session (or, with --runner pty, in a supervisor-owned pseudo-terminal
+ * — see runner.js).
  * The user can attach to any pane to watch or intervene.
  *
- * Supported agents: gemini | copilot | codex | opencode
+ * Built-in agents: gemini | copilot | codex | opencode | claude
+ * More can be declared in .zeroclaw/config.json (see agents.js).
  * Git:  uniform commit messages, structured feature branches
  */
 
-const path    = require('path');
-const fs      = require('fs-extra');
-const execa   = require('execa');
-const chalk   = require('chalk');
-const ora     = require('ora');
-const { log } = require('./ui');
-
-// Agent registry — each entry is a TUI command zeroclaw knows how to spawn
-const AGENTS = {
-  gemini:   { bin: 'gemini',   superpowersDir: '~/.gemini',                    args: []                        },
-  copilot:  { bin: 'gh',       superpowersDir: '~/.config/gh-copilot',         args: ['copilot', 'suggest']    },
-  codex:    { bin: 'codex',    superpowersDir: '~/.codex',                     args: []                        },
-  opencode: { bin: 'opencode', superpowersDir: '~/.config/opencode',           args: []                        }
-};
+const path          = require('path');
+const fs            = require('fs-extra');
+const execa         = require('execa');
+const chalk         = require('chalk');
+const ora           = require('ora');
+const chokidar      = require('chokidar');
+const Scheduler     = require('./scheduler');
+const Router        = require('./router');
+const TaskQueue     = require('./queue');
+const AgentRegistry = require('./agents');
+const Git           = require('./git');
+const Config        = require('./config');
+const Watchdog      = require('./watchdog');
+const TaskTimer     = require('./timeouts');
+const Capacity      = require('./capacity');
+const PlanDiff      = require('./plandiff');
+const PlanSync      = require('./plansync');
+const Lightning     = require('./lightning');
+const Runtimes      = require('./runtimes');
+const Journal       = require('./journal');
+const Events        = require('./events');
+const { createRunner } = require('./runner');
+const { log }       = require('./ui');
 
 class Distributor {
   constructor(workspace, session) {
-    this.workspace = workspace;
-    this.session   = session;
+    this.workspace   = workspace;
+    this.session     = session;
+    this.queue       = null;
+    this.router      = null;
+    this.available   = [];
+    this.reasons     = {};    // task id → why the router picked its agent
+    this.watcher     = null;
+    this.registry    = null;
+    this.worktrees   = {};    // agent → { agent, path, branch }
+    this.launched    = new Set();
+    this.lastLaunchAt = 0;
+    this.pending     = new Set();   // agents held back until capacity frees up
+    this.capacity    = null;
+    this.sync        = null;    // implement.md / PLAN.md ⇄ queue (see plansync.js)
+    this.watchdog    = null;
+    this.timer       = null;
+    this.runner      = null;
+    this.plan        = null;
+    this.journal     = new Journal(workspace);   // crash-safe record for resume (see journal.js)
+    this.events      = Events.for(workspace);
+    this.commits     = {};    // agent → last commit seen on its branch
   }
 
   /**
    * Take a Plan from Planner and distribute tasks to agents.
-   * @param {Plan} plan
+   * @param {Plan}   plan
+   * @param {object} opts  { dryRun, preview, ask } — preview shows tasks, assignments, briefs and
+   *                       launch commands before anything is touched; ask(question) reads the answer
+   * @returns {Promise<boolean>}  true if agents were launched
    */
-  async run(plan) {
+  async run(plan, opts = {}) {
+    const { dryRun = false, preview = false, ask = null } = opts;
     log.section('Task Distribution', `${plan.tasks.length} task(s) found`);
+    this.plan = plan;
 
+    this.registry   = await AgentRegistry.load(this.workspace);
     const available = await this._detectAgents();
     if (!available.length) {
-      log.error('No supported agents found (gemini / copilot / codex / opencode). Install at least one.');
-      return;
+      log.error(`No supported agents found (${this.registry.names().join(' / ')}). Install at least one.`);
+      return false;
     }
 
     log.info(`Available agents: ${available.join(', ')}`);
+    this.available = available;
+
+    try {
+      this.runner = createRunner(this.session.runner, this.workspace, { ...this.session.tmux, sessionName: this.session.name });
+    } catch (err) {
+      log.error(err.message);
+      return false;
+    }
+
+    // Build the task DAG and refuse to launch a plan that can never finish
+    const scheduler = new Scheduler(plan.tasks);
+    scheduler.warnings.forEach(w => log.warn(w));
+    const cycle = scheduler.findCycle();
+    if (cycle) {
+      log.error(`Dependency cycle in plan: ${cycle.map(id => `#${id}`).join(' → ')}. Fix PLAN.md and re-plan.`);
+      return false;
+    }
+    if (scheduler.done.size) {
+      log.info(chalk.gray(`${scheduler.done.size} task(s) already checked off in PLAN.md — not redistributed.`));
+    }
+    if (scheduler.isFinished()) {
+      log.done('Every task in the plan is already done.');
+      return false;
+    }
+    this.queue = new TaskQueue(this.workspace, scheduler, { persist: !dryRun && !preview, journal: this.journal });
+    if (this.queue.persist) await this._journalPlan();
+
+    // Route ready tasks to best-fit agents up to their capacity; the rest stay
+    // in the shared queue until an agent finishes and pulls more work
+    this.router = new Router(Object.fromEntries(available.map(a => [a, this.registry.get(a).profile])));
+    const assignments = await this._assignTasks(available);
+
+    // Preview / dry run: nothing below has run yet — no windows, worktrees or files
+    if (!dryRun && !preview) {
+      this._printAssignments(assignments);
+    } else {
+      const go = await this._preview(assignments, { dryRun, ask });
+      if (!go) {
+        log.info(dryRun ? 'Dry run — nothing was launched.' : 'Distribution cancelled — nothing was launched.');
+        return false;
+      }
+      this.queue.persist = true;
+      await this.queue.save();
+      await this._journalPlan();
+    }
+
+    for (const [agent, tasks] of Object.entries(assignments)) {
+      tasks.forEach(t => this._taskEvent('task.assigned', t, agent, { reason: this.reasons[t.id] }));
+    }
 
     // Install Superpowers in each available agent's config
     for (const agent of available) {
@@ -65,69 +151,382 @@ class Distributor {
     // Write plan artifacts that agents will read
     await this._writePlanArtifacts(plan);
 
-    // Distribute tasks across agents (round-robin if > 1 task)
-    const assignments = this._assignTasks(plan.tasks, available);
-    log.info('Task assignments:');
-    for (const [agent, tasks] of Object.entries(assignments)) {
-      tasks.forEach(t => log.info(`  [${chalk.cyan(agent)}] ${t}`));
-    }
-
-    // Launch tmux session with one pane per agent
-    await this._launchTmux(assignments, plan);
+    // Launch one window per agent (tmux session or supervisor-owned ptys),
+    // staggered and only as far as the concurrency limits allow
+    const config  = await Config.load(this.workspace);
+    this.capacity = new Capacity(this, {
+      ...config.get('concurrency', {}),
+      ...(this.session.maxAgents ? { maxParallelAgents: this.session.maxAgents } : {})
+    });
+    await this._launchAgents(assignments, plan);
+    await this._supervise(plan, config);
 
     log.done(
-      `All agents launched.\n` +
-      chalk.gray(`  Attach: `) + chalk.cyan(`tmux attach -t zeroclaw`) + '\n' +
-      chalk.gray(`  List:   `) + chalk.cyan(`tmux ls`)
+      (this.pending.size ? `${this.launched.size} agent(s) launched, ${this.pending.size} waiting for capacity.\n` : `All agents launched.\n`) +
+      chalk.gray(`  Watch:  `) + chalk.cyan(this.runner.hint()) + '\n' +
+      chalk.gray(`  Status: `) + chalk.cyan(`zeroclaw status`)
     );
+    return true;
+  }
+
+  /** Background work while agents run, for a fresh distribution and a restored one alike. */
+  async _supervise(plan, config) {
+    this.capacity.start();
+
+    // Hand out queued tasks as agents report work done; tick them off in
+    // implement.md and PLAN.md, and read the user's own ticks back
+    this._watchCompletions();
+    this.sync = new PlanSync(this);
+    await this.sync.start(plan);
+
+    // Restart agents whose panes exit or hang
+    this.watchdog = new Watchdog(this, config.get('watchdog', {}));
+    this.watchdog.start();
+
+    // Reassign tasks that overrun their time budget
+    this.timer = new TaskTimer(this, config.get('tasks', {}));
+    this.timer.start();
+  }
+
+  /** Journal baseline: the plan and every claim so far (replay starts from the latest one). */
+  async _journalPlan() {
+    await this.journal.record('plan', {
+      plan:  { type: this.plan.type || null, phase: this.plan.phase ?? null },
+      tasks: this.queue.snapshot()
+    });
   }
 
-  async resumeFromState() {
-    log.section('Continuing Session', 'Restoring from .planning/ state');
+  /**
+   * Fold a new plan into the running session instead of starting over.
+   * Running agents keep their windows and their tasks; tasks the new plan no
+   * longer has are cancelled and only added tasks are handed out. The delta
+   * is shown first and, given `ask`, applied only once the user agrees.
+   * @param {Plan}   plan
+   * @param {object} opts  { ask }
+   * @returns {Promise<boolean>}  true if the plan change was applied
+   */
+  async replan(plan, { ask = null } = {}) {
+    log.section('Re-planning', 'agents keep running');
+
+    const cycle = new Scheduler(plan.tasks).findCycle();
+    if (cycle) {
+      log.error(`Dependency cycle in plan: ${cycle.map(id => `#${id}`).join(' → ')}. Fix PLAN.md and re-plan.`);
+      return false;
+    }
+
+    const scheduler = this.queue.scheduler;
+    const diff      = new PlanDiff([...scheduler.tasks.values()], plan.tasks, {
+      replaces: plan.type !== 'quick' && plan.type === this.plan.type && plan.phase === this.plan.phase,
+      done:     scheduler.done
+    });
+
+    log.info(`Plan change: ${chalk.green(`+${diff.added.length}`)} added, ${chalk.red(`-${diff.removed.length}`)} removed, ${diff.kept.length} unchanged`);
+    diff.added.forEach(t => log.info(chalk.green(`  + #${t.id} ${t.title}`) +
+      (t.deps.length ? chalk.gray(`  (after ${t.deps.map(d => `#${d}`).join(', ')})`) : '')));
+    diff.removed.forEach(t => {
+      const owner = this.queue.owner(t.id);
+      log.info(chalk.red(`  - #${t.id} ${t.title}`) + chalk.gray(owner ? `  (cancelled for ${owner})` : ''));
+    });
+
+    if (diff.isEmpty()) {
+      log.info('Nothing to change — agents carry on.');
+      return false;
+    }
+    if (ask) {
+      const answer = (await ask(chalk.green('apply plan change? [y]es / [n]o › '))).trim().toLowerCase();
+      if (!/^y(es)?$/.test(answer)) {
+        log.info('Plan change discarded — agents carry on.');
+        return false;
+      }
+    }
+
+    // Cancel removed tasks and tell their agents to drop them
+    const cancelled = {};
+    for (const task of diff.removed) {
+      const agent = await this.queue.cancel(task.id);
+      this._taskEvent('task.cancelled', task, agent);
+      if (agent && this.launched.has(agent)) (cancelled[agent] ||= []).push(task);
+    }
+    await this.queue.add(diff.added);
+    this.plan = { ...plan, tasks: [...scheduler.tasks.values()] };
+    await this._writePlanArtifacts(plan, diff);
+    await this.sync.track(plan);
+
+    for (const [agent, tasks] of Object.entries(cancelled)) {
+      await this._updateBrief(agent, `Removed from the plan, stop working on: ${tasks.map(t => `#${t.id} ${t.title}`).join('; ')}`);
+    }
+
+    // Added tasks go out through the normal pull path (capacity limits apply)
+    for (const agentName of this.available) {
+      await this._pull(agentName, this.plan);
+    }
+    await this.launchPending();
+
+    log.done(`Plan updated — ${this.queue.claimable().length} task(s) queued, ${scheduler.blocked().length} waiting on prerequisites.`);
+    return true;
+  }
+
+  /**
+   * Pick up where the last distribution stopped: from the journal when it
+   * has unfinished tasks, otherwise through GSD's /gsd:resume-work.
+   * @param {object} opts  { dryRun } — show what would be relaunched instead of doing it
+   * @returns {Promise<'journal'|'gsd'|null>}  how the session was resumed; null if nothing was launched
+   */
+  async resumeFromState(opts = {}) {
+    log.section('Continuing Session', 'Restoring from the journal or .planning/ state');
+    this.registry   = await AgentRegistry.load(this.workspace);
     const available = await this._detectAgents();
-    if (!available.length) { log.error('No agents found.'); return; }
+    if (!available.length) { log.error('No agents found.'); return null; }
 
     for (const agent of available) {
       await this._ensureSuperpowers(agent);
     }
 
-    // Resume via GSD
-    const runtime = available.includes('opencode') ? 'opencode' : available[0];
-    const paneCmd = `${runtime} run /gsd:resume-work`;
-    await this._tmuxNewPane('resume', paneCmd, null);
+    const replayed = await Journal.replay(this.workspace);
+    if (replayed && replayed.tasks.some(t => t.status !== 'done')) {
+      return await this._restore(replayed, available, opts) ? 'journal' : null;
+    }
+
+    // Resume via GSD, in the same planning runtime the Planner uses (runtimes.js)
+    const config   = await Config.load(this.workspace);
+    const runtimes = await Runtimes.load(this.workspace);
+    const wanted   = this.session.planningRuntime || config.get('planner.gsd.runtime', 'auto');
+    let   runtime;
+    try {
+      runtime = await runtimes.pick(wanted);
+    } catch (err) {
+      log.error(err.message);
+      return null;
+    }
+    if (!runtime) {
+      log.error(wanted === 'auto'
+        ? `No planning runtime found to run /gsd:resume-work (${runtimes.names().join(', ')}).`
+        : `Planning runtime "${wanted}" is not installed — cannot run /gsd:resume-work.`);
+      return null;
+    }
+    const paneCmd = runtimes.command(runtime, '/gsd:resume-work');
+    if (opts.dryRun) {
+      log.info(`Dry run — would launch window "resume": ${chalk.cyan(paneCmd)}`);
+      return null;
+    }
+    try {
+      this.runner = createRunner(this.session.runner, this.workspace, { ...this.session.tmux, sessionName: this.session.name });
+      await this.runner.open();
+      await this.runner.newWindow('resume', { cwd: this.workspace, command: paneCmd });
+    } catch (err) {
+      log.warn(`Could not create pane for resume: ${err.message}`);
+      return null;
+    }
     log.done('Resume pane launched.');
+    return 'gsd';
   }
 
-  /* ── tmux launcher ─────────────────────────────────────────────── */
+  /**
+   * Rebuild the last distribution from the journal (see journal.js): the queue
+   * as it stood and, for each agent still holding tasks, its branch and a
+   * window on a brief with its remaining tasks and latest guidance. A window
+   * that is still alive (tmux outlives the supervisor) is kept as it is.
+   * @returns {Promise<boolean>}  true once agents are running again
+   */
+  async _restore(replayed, available, { dryRun = false } = {}) {
+    const queue   = TaskQueue.fromSnapshot(this.workspace, replayed.tasks, { persist: !dryRun, journal: this.journal });
+    const holders = [...new Set(replayed.tasks.filter(t => t.status === 'claimed').map(t => t.agent))];
+    const done    = replayed.tasks.filter(t => t.status === 'done').length;
 
-  async _launchTmux(assignments, plan) {
-    const sessionName = 'zeroclaw';
+    log.info(`Journal: ${done} of ${replayed.tasks.length} task(s) done, last entry ${replayed.at}`);
+    for (const agentName of holders) {
+      const was = replayed.agents[agentName] || {};
+      log.info(`  [${chalk.cyan(agentName)}] ${queue.open(agentName).map(t => `#${t.id} ${t.title}`).join('; ')}` +
+        chalk.gray(`  — ${was.branch || 'no branch'}${was.exited ? `, window closed (${was.exited.reason})` : ''}`));
+    }
+    queue.claimable().forEach(t => log.info(chalk.gray(`  [queued] #${t.id} ${t.title}`)));
+    if (dryRun) {
+      log.info('Dry run — nothing was relaunched.');
+      return false;
+    }
 
-    // Kill stale session if exists
-    try { await execa('tmux', ['kill-session', '-t', sessionName]); } catch { /* ok */ }
+    try {
+      this.runner = createRunner(this.session.runner, this.workspace, { ...this.session.tmux, sessionName: this.session.name });
+      await this.runner.open();
+    } catch (err) {
+      log.error(err.message);
+      return false;
+    }
+    this.queue     = queue;
+    this.plan      = { ...replayed.plan, tasks: [...queue.scheduler.tasks.values()] };
+    this.available = available;
+    this.router    = new Router(Object.fromEntries(available.map(a => [a, this.registry.get(a).profile])));
+    await queue.save();
+    await this._journalPlan();
 
-    // Create new session (detached) — first window is the supervisor pane
-    await execa('tmux', ['new-session', '-d', '-s', sessionName, '-n', 'supervisor', '-x', '220', '-y', '50']);
+    const config  = await Config.load(this.workspace);
+    this.capacity = new Capacity(this, {
+      ...config.get('concurrency', {}),
+      ...(this.session.maxAgents ? { maxParallelAgents: this.session.maxAgents } : {})
+    });
 
-    // First pane shows session status
-    const statusScript = this._statusScript(plan);
-    await execa('tmux', ['send-keys', '-t', `${sessionName}:supervisor`, statusScript, 'Enter']);
+    for (const agentName of holders) {
+      const tasks = queue.open(agentName);
+      const was   = replayed.agents[agentName] || {};
+      if (!available.includes(agentName)) {
+        log.warn(`  ${chalk.cyan(`[${agentName}]`)} is not installed any more — its tasks go back in the queue`);
+        for (const t of tasks) await queue.unclaim(t.id);
+        continue;
+      }
+      await this._ensureWorktree(agentName, tasks, this.plan, was.branch);
+
+      const pane = await this.runner.inspect(agentName);
+      if (pane.alive) {
+        this.launched.add(agentName);
+        await this.session.trackAgent({ name: agentName, window: agentName, cwd: was.cwd, launchedAt: was.launchedAt });
+        await this._updateBrief(agentName, 'The zeroclaw supervisor restarted; your tasks are unchanged');
+        log.info(`  ${chalk.cyan(`[${agentName}]`)} still running in window "${agentName}" — kept`);
+        continue;
+      }
+
+      let gate = this.capacity.gate();
+      if (gate.waitMs) {
+        await new Promise(resolve => setTimeout(resolve, gate.waitMs));
+        gate = this.capacity.gate();
+      }
+      if (!gate.ok) {
+        for (const t of tasks) await queue.unclaim(t.id);
+        await this._hold(agentName, gate.reason);
+        continue;
+      }
+      if (pane.reason !== 'window closed') await this.runner.kill(agentName);   // a shell left behind by the agent
+      await this._launchAgentPane(agentName, this._buildAgentPrompt(agentName, tasks, this.plan) + this._resumeNote(was));
+    }
+    await this._recordCapacity();
+    await this.runner.layout(this.session.tmuxLayout || 'tiled');
+
+    await this._supervise(this.plan, config);
+    await this._handOut();
+
+    log.done(
+      `Restored from the journal — ${this.launched.size} agent(s) running` +
+      (this.pending.size ? `, ${this.pending.size} waiting for capacity.\n` : '.\n') +
+      chalk.gray(`  Watch:  `) + chalk.cyan(this.runner.hint()) + '\n' +
+      chalk.gray(`  Status: `) + chalk.cyan(`zeroclaw status`)
+    );
+    return true;
+  }
+
+  /** Appended to a restored agent's brief: where its work is and what it was last told. */
+  _resumeNote(was) {
+    const guidance = (was.guidance || []).map(g => `- ${g.at}  ${g.message}`);
+    return `\n---\n## Resumed by zeroclaw\nThe supervisor stopped while you were working` +
+      (was.exited ? ` (your window closed: ${was.exited.reason})` : '') +
+      `. Check \`git status\` and \`git log\`${was.branch ? ` on \`${was.branch}\`` : ''} for work already done, then continue.\n` +
+      (guidance.length ? `\nLatest guidance from the supervisor:\n${guidance.join('\n')}\n` : '');
+  }
+
+  async stop() {
+    if (this.watcher)  await this.watcher.close();
+    if (this.sync)     await this.sync.stop();
+    if (this.watchdog) this.watchdog.stop();
+    if (this.timer)    this.timer.stop();
+    if (this.capacity) this.capacity.stop();
+    if (this.runner?.kind === 'pty') {
+      // pty agents end with the supervisor; tmux windows carry on
+      for (const agent of this.launched) await this.journal.record('exit', { agent, reason: 'supervisor exited' });
+    }
+    if (this.runner)   await this.runner.close();
+    this.watcher  = null;
+    this.sync     = null;
+    this.watchdog = null;
+    this.timer    = null;
+    this.capacity = null;
+  }
 
-    // One window per agent
-    let paneIdx = 0;
+  /**
+   * Restart an agent on its current task brief (used by the watchdog).
+   * The old window is replaced so the agent starts from a clean pane.
+   */
+  async relaunch(agentName, reason) {
+    const promptFile = path.join(this.workspace, '.zeroclaw', `${agentName}-task.md`);
+    const taskPrompt = await fs.readFile(promptFile, 'utf8');
+
+    await this.runner.kill(agentName);
+    this.launched.delete(agentName);
+    await this.journal.record('exit', { agent: agentName, reason });
+
+    const note = `\n---\n## Restarted by zeroclaw\nYour previous run stopped (${reason}). Check \`git status\` and \`git log\` for work already done, then continue.\n`;
+    await this._launchAgentPane(agentName, taskPrompt.includes('## Restarted by zeroclaw') ? taskPrompt : taskPrompt + note);
+  }
+
+  /* ── Agent launcher ────────────────────────────────────────────── */
+
+  async _launchAgents(assignments, plan) {
+    await this.runner.open({ reset: true });
+
+    // tmux: first pane shows session status
+    if (this.runner.kind === 'tmux') {
+      await this.runner.send('supervisor', this._statusScript(plan));
+    }
+
+    // One window per agent, while capacity lasts
     for (const [agentName, tasks] of Object.entries(assignments)) {
+      if (!tasks.length) continue;
+
+      let gate = this.capacity.gate();
+      if (gate.waitMs) {
+        await new Promise(resolve => setTimeout(resolve, gate.waitMs));
+        gate = this.capacity.gate();
+      }
+      if (!gate.ok) {
+        for (const t of tasks) await this.queue.unclaim(t.id);
+        await this._hold(agentName, gate.reason);
+        continue;
+      }
+      await this._ensureWorktree(agentName, tasks, plan);
       const taskPrompt = this._buildAgentPrompt(agentName, tasks, plan);
-      await this._launchAgentPane(sessionName, agentName, taskPrompt, paneIdx);
-      paneIdx++;
+      await this._launchAgentPane(agentName, taskPrompt);
     }
+    await this._recordCapacity();
 
     // Set layout
-    await execa('tmux', ['select-layout', '-t', sessionName, this.session.tmuxLayout || 'tiled']);
+    await this.runner.layout(this.session.tmuxLayout || 'tiled');
   }
 
-  async _launchAgentPane(sessionName, agentName, taskPrompt, paneIdx) {
-    const agent = AGENTS[agentName];
-    if (!agent) return;
+  /**
+   * Launch the next held agent if there is room for it (called by Capacity
+   * every interval and after each finished task). Agents with nothing left
+   * to do give their slot up while others are waiting.
+   */
+  async launchPending() {
+    if (!this.pending.size || !this.queue.claimable().length) return;
+
+    for (const agentName of [...this.launched]) {
+      if (!this.queue.open(agentName).length) {
+        await this.runner.kill(agentName);
+        this.launched.delete(agentName);
+        await this.journal.record('exit', { agent: agentName, reason: 'idle' });
+        log.info(`  ${chalk.cyan(`[${agentName}]`)} idle — window closed to make room`);
+      }
+    }
+
+    const [next] = this.pending;
+    this.pending.delete(next);
+    await this._pull(next, this.plan);
+    await this._recordCapacity();
+  }
+
+  async _hold(agentName, reason) {
+    if (!this.pending.has(agentName)) {
+      log.info(`  ${chalk.cyan(`[${agentName}]`)} waiting for capacity (${reason}) — its tasks stay queued`);
+    }
+    this.pending.add(agentName);
+    await this._recordCapacity();
+  }
+
+  /** Current limits and held agents go to session.json for `zeroclaw status`. */
+  async _recordCapacity() {
+    await this.session.recordConcurrency(this.capacity.snapshot());
+  }
+
+  async _launchAgentPane(agentName, taskPrompt) {
+    if (!this.registry.get(agentName)) return;
 
     const windowName = agentName;
 
@@ -135,34 +534,28 @@ class Distributor {
     const promptFile = path.join(this.workspace, '.zeroclaw', `${agentName}-task.md`);
     await fs.writeFile(promptFile, taskPrompt);
 
-    let agentCmd;
-    switch (agentName) {
-      case 'gemini':
-        // gemini CLI: pass task inline
-        agentCmd = `gemini "${taskPrompt.replace(/"/g, '\\"').split('\n')[0]}"`;
-        break;
-      case 'copilot':
-        agentCmd = `cat ${promptFile} | gh copilot suggest -t shell`;
-        break;
-      case 'codex':
-        agentCmd = `codex "${promptFile}"`;
-        break;
-      case 'opencode':
-      default:
-        agentCmd = `opencode`;
-        break;
-    }
-
-    // Inject the Superpowers bootstrap + GSD context before the agent command
-    const bootstrap = this._superpowersBootstrap(agentName);
-    const fullCmd   = `${bootstrap} && ${agentCmd}`;
+    // Create a new window for the agent, inside its own worktree
+    const cwd = this.worktrees[agentName]?.path || this.workspace;
+    await this.runner.newWindow(windowName, { cwd, command: this._agentCommand(agentName, cwd) });
+    this.launched.add(agentName);
+    this.lastLaunchAt = Date.now();
+    await this.session.trackAgent({ name: agentName, window: windowName, cwd, launchedAt: new Date().toISOString() });
+    await this.journal.record('launch', { agent: agentName, window: windowName, cwd, branch: this.worktrees[agentName]?.branch || null });
+    this.events.publish('agent.launched', {
+      agent: agentName, window: windowName, runner: this.runner.kind, cwd, branch: this.worktrees[agentName]?.branch || null
+    });
 
-    // Create a new window in the tmux session
-    await execa('tmux', ['new-window', '-t', sessionName, '-n', windowName]);
-    await execa('tmux', ['send-keys', '-t', `${sessionName}:${windowName}`, `cd ${this.workspace}`, 'Enter']);
-    await execa('tmux', ['send-keys', '-t', `${sessionName}:${windowName}`, fullCmd, 'Enter']);
+    log.info(`  ${chalk.cyan(`[${agentName}]`)} launched in ${this.runner.kind} window "${windowName}"`);
+  }
 
-    log.info(`  ${chalk.cyan(`[${agentName}]`)} launched in tmux window "${windowName}"`);
+  /**
+   * Launch template + prompt mode come from the agent registry; the
+   * Superpowers bootstrap + GSD context is injected before it.
+   */
+  _agentCommand(agentName, cwd) {
+    const promptFile = path.join(this.workspace, '.zeroclaw', `${agentName}-task.md`);
+    const agentCmd   = this.registry.launchCommand(agentName, promptFile, cwd);
+    return `${this._superpowersBootstrap(agentName)} && ${agentCmd}`;
   }
 
   _statusScript(plan) {
@@ -181,8 +574,7 @@ class Distributor {
    * The agent's \plan, \skil, \exec commands map to these superpowers slash commands.
    */
   async _ensureSuperpowers(agentName) {
-    const agent     = AGENTS[agentName];
-    const configDir = agent.superpowersDir.replace('~', process.env.HOME);
+    const configDir = this.registry.configDir(agentName);
     const skillsDir = path.join(configDir, 'superpowers');
 
     if (await fs.pathExists(skillsDir)) {
@@ -203,7 +595,7 @@ class Distributor {
       ], { stdio: 'pipe' });
 
       // Set up symlinks per agent
-      await this._superpowersLink(agentName, configDir, skillsDir);
+      await this._superpowersLink(agentName, skillsDir);
 
       spinner.succeed(`Superpowers installed for ${agentName}`);
     } catch (err) {
@@ -212,64 +604,352 @@ class Distributor {
     }
   }
 
-  async _superpowersLink(agentName, configDir, skillsDir) {
-    // Each agent requires a specific symlink structure — matches obra/superpowers docs
-    switch (agentName) {
-      case 'opencode': {
-        const pluginsDir = path.join(configDir, 'plugins');
-        const skillsLink = path.join(configDir, 'skills', 'superpowers');
-        await fs.ensureDir(pluginsDir);
-        await fs.ensureDir(path.join(configDir, 'skills'));
-        const pluginSrc = path.join(skillsDir, '.opencode', 'plugins', 'superpowers.js');
-        const pluginDst = path.join(pluginsDir, 'superpowers.js');
-        if (!await fs.pathExists(pluginDst)) await fs.symlink(pluginSrc, pluginDst);
-        if (!await fs.pathExists(skillsLink)) await fs.symlink(path.join(skillsDir, 'skills'), skillsLink);
-        break;
-      }
-      case 'codex': {
-        const agentsSkills = path.join(process.env.HOME, '.agents', 'skills', 'superpowers');
-        await fs.ensureDir(path.join(process.env.HOME, '.agents', 'skills'));
-        if (!await fs.pathExists(agentsSkills)) {
-          await fs.symlink(path.join(skillsDir, 'skills'), agentsSkills);
-        }
-        break;
-      }
-      case 'gemini': {
-        // Gemini uses ~/.gemini/ for config
-        const skillsLink = path.join(configDir, 'skills', 'superpowers');
-        await fs.ensureDir(path.join(configDir, 'skills'));
-        if (!await fs.pathExists(skillsLink)) await fs.symlink(path.join(skillsDir, 'skills'), skillsLink);
-        break;
-      }
-      default:
-        break;
+  async _superpowersLink(agentName, skillsDir) {
+    // Each agent requires a specific symlink structure — declared in its registry entry
+    for (const { src, dest } of this.registry.links(agentName, skillsDir)) {
+      await fs.ensureDir(path.dirname(dest));
+      if (!await fs.pathExists(dest)) await fs.symlink(src, dest);
     }
   }
 
   _superpowersBootstrap(agentName) {
     // Export env var so agents can discover skills path
-    const skillsPath = path.join(AGENTS[agentName]?.superpowersDir.replace('~', process.env.HOME), 'superpowers', 'skills');
-    return `export SUPERPOWERS_SKILLS_ROOT="${skillsPath}"`;
+    // ZEROCLAW_AGENT tags the spans written by zc_task_done so released tasks reach this window
+    const skillsPath = path.join(this.registry.configDir(agentName), 'superpowers', 'skills');
+    return `export SUPERPOWERS_SKILLS_ROOT="${skillsPath}" ZEROCLAW_AGENT="${agentName}" ZEROCLAW_WORKSPACE="${this.workspace}" ZEROCLAW_PHASE="${this.plan?.phase ?? ''}"`;
   }
 
   /* ── Task assignment ────────────────────────────────────────────── */
 
-  _assignTasks(tasks, agents) {
+  async _assignTasks(agents) {
     const assignments = {};
     agents.forEach(a => { assignments[a] = []; });
 
-    tasks.forEach((task, i) => {
-      const agent = agents[i % agents.length];
-      assignments[agent].push(task);
-    });
+    for (const task of this.queue.claimable()) {
+      const pick = this.router.route(task, this.queue.load(agents));
+      if (!pick) break;   // every agent at maxConcurrent — task stays queued
+      assignments[pick.agent].push(await this.queue.claim(task.id, pick.agent));
+      this.reasons[task.id] = pick.reason;
+    }
+    await this.queue.save();
 
     return assignments;
   }
 
-  _buildAgentPrompt(agentName, tasks, plan) {
-    const taskList = tasks.map((t, i) => `${i + 1}. ${t}`).join('\n');
+  _printAssignments(assignments) {
+    log.info('Task assignments:');
+    for (const [agent, tasks] of Object.entries(assignments)) {
+      tasks.forEach(t => log.info(
+        `  [${chalk.cyan(agent)}] #${t.id} ${t.title}` + chalk.gray(`  — ${this.reasons[t.id]}`)
+      ));
+    }
+    this.queue.scheduler.blocked().forEach(t =>
+      log.info(chalk.gray(`  [held] #${t.id} ${t.title}  (waits on ${t.deps.map(d => `#${d}`).join(', ')})`))
+    );
+    this.queue.claimable().forEach(t =>
+      log.info(chalk.gray(`  [queued] #${t.id} ${t.title}  (pulled when an agent frees up)`))
+    );
+  }
+
+  /**
+   * Watch task spans. Start/error spans (`zc_task_start` / `zc_task_error`)
+   * run and stop the task's budget clock. On a success span (`zc_task_done`)
+   * the agent that finished pulls its next task first, then any other agent
+   * with spare capacity picks up tasks that were queued or just unblocked.
+   */
+  _watchCompletions() {
+    const spansDir = path.join(this.workspace, '.zeroclaw', 'lightning-spans');
+    fs.ensureDirSync(spansDir);
+
+    this.watcher = chokidar.watch(spansDir, { ignoreInitial: true, persistent: true });
+    this.watcher.on('add', async (filePath) => {
+      let span;
+      try { span = await fs.readJson(filePath); } catch { return; }
+      // A failure here (e.g. tmux went away) must not take the supervisor down with it
+      try {
+        if (span.event === 'start') { await this.queue.start(span.task);     return; }
+        if (span.event === 'error') { await this.queue.stopClock(span.task); return; }
+        if (!span.success) return;
+
+        const task = await this.queue.complete(span.task, span.agent);
+        if (!task) return;
+        log.info(`  ${chalk.cyan(`[${span.agent}]`)} finished #${task.id} ${task.title}`);
+        this._taskEvent('task.done', task, span.agent);
+        await this._noteCommit(span.agent);
+        await this.sync.mark(task, 'done', span.agent);
+        await this._handOut(span.agent);
+      } catch (err) {
+        log.warn(`Could not handle ${span.agent}'s span for ${span.task}: ${err.message}`);
+      }
+    });
+  }
+
+  /** Work was freed up: the agent that freed it pulls first, then everyone else. */
+  async _handOut(first = null) {
+    const order = [first, ...this.available.filter(a => a !== first)];
+    for (const agentName of order.filter(a => this.available.includes(a))) {
+      await this._pull(agentName, this.plan);
+    }
+    await this.launchPending();
+
+    if (this.queue.isFinished()) log.done('All planned tasks reported done.');
+  }
+
+  /**
+   * The user ticked a task off in implement.md or PLAN.md (see plansync.js).
+   * Tasks waiting on it are released; an agent still holding it is told to stop.
+   */
+  async completeTask(id) {
+    const owner = this.queue.owner(id);
+    const task  = await this.queue.complete(`#${id}`, owner);
+    if (!task) return;
+    log.info(`  #${task.id} ${task.title} marked done by hand`);
+    this._taskEvent('task.done', task, owner, { by: 'hand' });
+    await this.sync.mark(task, 'done');
+    if (owner && this.launched.has(owner)) {
+      await this._updateBrief(owner, `#${task.id} ${task.title} was marked done by the user, stop working on it`);
+    }
+    await this._handOut(owner);
+  }
+
+  /** The user struck a task out: it leaves the queue and nothing waits on it any more. */
+  async cancelTask(id) {
+    const task = this.queue.scheduler.tasks.get(id);
+    if (!task) return;
+    const owner = await this.queue.cancel(id);
+    log.info(`  #${task.id} ${task.title} cancelled by hand` + chalk.gray(owner ? `  (was with ${owner})` : ''));
+    this._taskEvent('task.cancelled', task, owner, { by: 'hand' });
+    await this.sync.mark(task, 'cancelled');
+    if (owner && this.launched.has(owner)) {
+      await this._updateBrief(owner, `#${task.id} ${task.title} was cancelled by the user, stop working on it`);
+    }
+    await this._handOut(owner);
+  }
+
+  /**
+   * Let an agent claim queued tasks up to its capacity, then rewrite its
+   * <agent>-task.md and nudge its tmux window (or launch one if it has none).
+   * An agent that is not running yet is held instead when the machine is full.
+   */
+  async _pull(agentName, plan) {
+    const claimed = [];
+
+    for (;;) {
+      const candidates = this.queue.claimable().filter(t => !this.queue.excluded(t.id, agentName));
+      const pick       = this.router.pick(agentName, candidates, this.queue.load(this.available));
+      if (!pick) break;
+      if (!this.launched.has(agentName) && !claimed.length) {
+        const gate = this.capacity.gate();
+        if (!gate.ok) {
+          await this._hold(agentName, gate.reason);
+          return;
+        }
+      }
+      claimed.push(await this.queue.claim(pick.task.id, agentName));
+      this.reasons[pick.task.id] = pick.reason;
+      this._taskEvent('task.assigned', pick.task, agentName, { reason: pick.reason });
+      log.info(`  ${chalk.cyan(`[${agentName}]`)} pulled #${pick.task.id} ${pick.task.title}` + chalk.gray(`  — ${pick.reason}`));
+    }
+    if (!claimed.length) return;
+
+    const tasks = this.queue.open(agentName);
+    if (!this.launched.has(agentName)) {
+      await this._ensureWorktree(agentName, tasks, plan);
+      await this._launchAgentPane(agentName, this._buildAgentPrompt(agentName, tasks, plan));
+      return;
+    }
+
+    await this._updateBrief(agentName, `Next task assigned: ${claimed.map(t => `#${t.id} ${t.title}`).join('; ')}`);
+  }
+
+  /** Publish a task.* event (see events.js). */
+  _taskEvent(type, task, agent, extra = {}) {
+    this.events.publish(type, { id: task.id, title: task.title, agent: agent || null, ...extra });
+  }
+
+  /** Publish commit.made when an agent's branch has moved since we last looked. */
+  async _noteCommit(agentName) {
+    const worktree = this.worktrees[agentName];
+    const commit   = worktree ? await new Git(worktree.path).lastCommit() : null;
+    if (!commit || commit === this.commits[agentName]) return;
+    this.commits[agentName] = commit;
+    this.events.publish('commit.made', { agent: agentName, branch: worktree.branch, commit });
+  }
+
+  /** Rewrite an agent's <agent>-task.md from its open tasks and tell its window why. */
+  async _updateBrief(agentName, message) {
+    const promptFile = path.join(this.workspace, '.zeroclaw', `${agentName}-task.md`);
+    await fs.writeFile(promptFile, this._buildAgentPrompt(agentName, this.queue.open(agentName), this.plan));
+    await this.journal.record('guidance', { agent: agentName, message });
+    try {
+      await this.runner.send(agentName, `${message} — your brief ${promptFile} has been updated, read it and continue.`);
+    } catch (err) {
+      log.warn(`Could not notify ${agentName}: ${err.message}`);
+    }
+  }
+
+  /**
+   * A task ran past its budget (called by TaskTimer): record a negative reward,
+   * take it off its agent and let a different agent pull it, pointing that
+   * agent at the partial work on the old branch.
+   */
+  async timeOut(task, minutes, budget) {
+    const from       = this.queue.owner(task.id);
+    const worktree   = this.worktrees[from];
+    const lastCommit = worktree ? await new Git(worktree.path).lastCommit() : null;
+    const reason     = `timed out after ${minutes} min (budget ${budget} min)`;
+
+    log.warn(`  ${chalk.cyan(`[${from}]`)} #${task.id} ${task.title} ${reason} — reassigning`);
+
+    await this.queue.reassign(task.id, { reason, branch: worktree?.branch || null, lastCommit });
+    this._taskEvent('task.reassigned', task, from, { reason });
+    await Lightning.reportError(this.workspace, {
+      agent: from,
+      kind:  'timeout',
+      task:  `#${task.id} ${task.title}`,
+      error: `Task ${reason}. Reassigned to another agent.`
+    });
+    await this._updateBrief(from, `Task #${task.id} was reassigned (over its ${budget} min budget) — stop working on it`);
+
+    for (const agentName of this.available.filter(a => a !== from)) {
+      await this._pull(agentName, this.plan);
+    }
+    if (this.queue.status(task.id) === 'pending') {
+      log.warn(`  #${task.id} is queued until an agent other than ${from} frees up`);
+    }
+  }
+
+  /* ── Preview ────────────────────────────────────────────────────── */
+
+  /**
+   * Print everything distribution is about to do and, unless this is a dry
+   * run, ask whether to launch, cancel or move tasks between agents.
+   * @returns {Promise<boolean>}  true to go ahead and launch
+   */
+  async _preview(assignments, { dryRun, ask }) {
+    this._printPreview(assignments, dryRun);
+    if (dryRun || !ask) return false;
+
+    for (;;) {
+      const answer = (await ask(chalk.green('launch? [y]es / [n]o / move <task#> <agent> › '))).trim().toLowerCase();
+      if (/^y(es)?$/.test(answer)) return true;
+      if (/^n(o)?$/.test(answer)) return false;
+
+      const move = answer.match(/^move\s+#?(\d+)\s+(\S+)$/);
+      if (!move) {
+        log.warn('Answer "y", "n" or "move <task#> <agent>".');
+      } else if (await this._moveTask(assignments, parseInt(move[1]), move[2])) {
+        this._printPreview(assignments, dryRun);
+      }
+    }
+  }
+
+  _printPreview(assignments, dryRun) {
+    log.section('Distribution Preview', dryRun ? 'dry run — nothing will be launched' : 'nothing launched yet');
+
+    log.info('Parsed tasks:');
+    for (const t of this.queue.scheduler.tasks.values()) {
+      const notes = [
+        t.deps.length && `after ${t.deps.map(d => `#${d}`).join(', ')}`,
+        t.tags?.length && t.tags.map(tag => `#${tag}`).join(' '),
+        t.budget && `budget ${t.budget}m`,
+        t.acceptance?.length && `${t.acceptance.length} acceptance criteria`,
+        t.files?.length && t.files.join(', ')
+      ].filter(Boolean).join('  ');
+      const mark = this.queue.scheduler.done.has(t.id) ? chalk.green('✓') : ' ';
+      log.info(`${mark} #${t.id} ${t.title}` + (notes ? chalk.gray(`  (${notes})`) : ''));
+    }
+    console.log();
+    this._printAssignments(assignments);
+
+    for (const [agentName, tasks] of Object.entries(assignments)) {
+      if (!tasks.length) continue;
+      const worktree   = this._plannedWorktree(agentName, tasks);
+      const promptFile = path.join(this.workspace, '.zeroclaw', `${agentName}-task.md`);
+
+      console.log(chalk.cyan(`\n──── ${promptFile}`));
+      console.log(this._buildAgentPrompt(agentName, tasks, this.plan, worktree));
+      log.info(`Launch (${this.runner.kind} window "${agentName}", cwd ${worktree.path}):`);
+      console.log(`    ${this._agentCommand(agentName, worktree.path)}`);
+    }
+    console.log();
+  }
+
+  async _moveTask(assignments, id, agentName) {
+    const task = this.queue.scheduler.tasks.get(id);
+    if (!task) { log.warn(`No task #${id}.`); return false; }
+    if (!this.available.includes(agentName)) {
+      log.warn(`Unknown agent "${agentName}" — choose from ${this.available.join(', ')}.`);
+      return false;
+    }
+    if (this.queue.status(id) === 'pending' && !this.queue.claimable().includes(task)) {
+      log.warn(`#${id} waits on prerequisites — it is handed out when they are done.`);
+      return false;
+    }
+
+    for (const tasks of Object.values(assignments)) {
+      const i = tasks.indexOf(task);
+      if (i >= 0) tasks.splice(i, 1);
+    }
+    assignments[agentName].push(await this.queue.claim(id, agentName));
+    this.reasons[id] = 'moved by user';
+    return true;
+  }
+
+  /* ── Worktrees ──────────────────────────────────────────────────── */
+
+  /** The worktree an agent has, or would get, without creating anything. */
+  _plannedWorktree(agentName, tasks) {
+    if (this.worktrees[agentName]) return this.worktrees[agentName];
+    const git = new Git(this.workspace);
+    return { agent: agentName, path: git.worktreePath(agentName), branch: git.branchName(agentName, this.plan.phase, tasks[0].title) };
+  }
+
+  /**
+   * Create (or reuse) the agent's git worktree on its own feature branch —
+   * `branch` when resuming one. Falls back to the shared workspace if git refuses.
+   */
+  async _ensureWorktree(agentName, tasks, plan, branch = null) {
+    if (this.worktrees[agentName]) return this.worktrees[agentName];
+    try {
+      const git = new Git(this.workspace);
+      const wt  = branch
+        ? await git.restoreWorktree(agentName, branch)
+        : await git.addWorktree(agentName, plan.phase, tasks[0].title);
+      this.worktrees[agentName] = wt;
+      this.commits[agentName]   = await new Git(wt.path).lastCommit();   // commit.made only for new work
+      await this.session.trackWorktree(wt);
+      return wt;
+    } catch (err) {
+      log.warn(`Could not create worktree for ${agentName}: ${err.message} — using the shared checkout.`);
+      return null;
+    }
+  }
+
+  _buildAgentPrompt(agentName, tasks, plan, worktree = this.worktrees[agentName]) {
+    const taskList = tasks.map((t, i) => [
+      `${i + 1}. [#${t.id}] ${t.title}`,
+      ...(t.acceptance || []).map(a => `   - [ ] Acceptance: ${a}`),
+      ...(t.files?.length ? [`   Files: ${t.files.map(f => `\`${f}\``).join(', ')}`] : [])
+    ].join('\n')).join('\n');
     const planRef  = path.join(this.workspace, '.planning', 'PLAN.md');
     const implRef  = path.join(this.workspace, '.planning', 'implement.md');
+    const attempts = tasks
+      .filter(t => this.queue?.history[t.id]?.length)
+      .map(t => {
+        const last = this.queue.history[t.id].slice(-1)[0];
+        return `- #${t.id} was started by ${last.agent}, which ${last.reason}.\n` +
+          (last.branch
+            ? `  Partial work: branch \`${last.branch}\` (last commit: ${last.lastCommit || 'none'}) — review it and \`git merge ${last.branch}\` before continuing.`
+            : '  No branch was recorded for that attempt.');
+      });
+    const previous = attempts.length ? `\n## Previous Attempts\n${attempts.join('\n')}\n` : '';
+    const criteria = tasks.some(t => t.acceptance?.length)
+      ? '\n- A task is only done when every acceptance criterion under it holds — check them before `zc_task_done`'
+      : '';
+    const branch   = worktree
+      ? `- Work in your own worktree ${worktree.path} on branch \`${worktree.branch}\` — do not switch branches`
+      : '- Branch: feature/<task-slug>';
 
     return `# Zeroclaw Task Assignment — ${agentName}
 
@@ -277,7 +957,7 @@ You are a coding agent in the zeroclaw multi-agent system.
 
 ## Your Tasks
 ${taskList}
-
+${previous}
 ## Context Files
 - Plan:           ${planRef}
 - Implementation: ${implRef}
@@ -286,8 +966,12 @@ ${taskList}
 ## Working Rules
 - Follow TDD: write tests before implementation
 - Commit after each task: \`git commit -m "feat(<scope>): <task summary>"\`
-- Branch: feature/<task-slug>
-- Document decisions in implement.md
+${branch}
+- Document decisions in implement.md${criteria}
+- Run \`zc_task_start "#<id> <title>"\` when you begin a task — each task has a time budget
+  and is reassigned to another agent if it runs over
+- When a task is finished run \`zc_task_done "#<id> <title>"\` — zeroclaw then rewrites
+  this file with your next task, and releases tasks that depend on it to other agents
 - Use \\plan to brainstorm, \\skil to look up skills, \\exec to run plans
 - If you hit an error, document it in .zeroclaw/errors/<agent>-<timestamp>.md
   (AgentLightning will pick this up for iterative learning)
@@ -304,15 +988,28 @@ Begin with task 1. Good luck.
 
   /* ── Plan artifacts ─────────────────────────────────────────────── */
 
-  async _writePlanArtifacts(plan) {
+  /**
+   * @param {Plan}     plan
+   * @param {PlanDiff} delta  re-planning: appended to / struck out of an existing implement.md
+   */
+  async _writePlanArtifacts(plan, delta = null) {
     const planDir = path.join(this.workspace, '.planning');
     await fs.ensureDir(planDir);
 
-    // Write implement.md if not already created by GSD
+    // implement.md numbers tasks like the queue (see plansync.js): a new distribution
+    // rewrites it, so a file left by an earlier plan or phase never matches the wrong tasks
     const implFile = path.join(planDir, 'implement.md');
-    if (!await fs.pathExists(implFile)) {
-      const tasks = plan.tasks.map(t => `- [ ] ${t}`).join('\n');
+    const line     = t => `- [${t.cancelled ? '-' : t.done ? 'x' : ' '}] #${t.id} ${t.title}`;
+    if (!delta || !await fs.pathExists(implFile)) {
+      const tasks = plan.tasks.map(line).join('\n');
       await fs.writeFile(implFile, `# Implementation Tracking\n\n${tasks}\n`);
+    } else {
+      let impl = await fs.readFile(implFile, 'utf8');
+      for (const t of delta.removed) {
+        impl = impl.replace(new RegExp(`^- \\[ \\] #${t.id} .*$`, 'm'), `- [ ] ~~#${t.id} ${t.title}~~ (removed from the plan)`);
+      }
+      impl += delta.added.map(t => `${line(t)}\n`).join('');
+      await fs.writeFile(implFile, impl);
     }
 
     // Echo GSD plan files for agents that may not have them
@@ -330,24 +1027,15 @@ Begin with task 1. Good luck.
 
   async _detectAgents() {
     const available = [];
-    for (const [name, agent] of Object.entries(AGENTS)) {
+    for (const name of this.registry.names()) {
+      const agent = this.registry.get(name);
       try {
-        await execa(agent.bin, ['--version'], { stdio: 'pipe', timeout: 3000 });
+        await execa(agent.bin, agent.version, { stdio: 'pipe', timeout: 3000 });
         available.push(name);
       } catch { /* not installed */ }
     }
     return available;
   }
-
-  async _tmuxNewPane(name, cmd, sessionName) {
-    const sn = sessionName || 'zeroclaw';
-    try {
-      await execa('tmux', ['new-window', '-t', sn, '-n', name]);
-      await execa('tmux', ['send-keys', '-t', `${sn}:${name}`, cmd, 'Enter']);
-    } catch (err) {
-      log.warn(`Could not create tmux pane for ${name}: ${err.message}`);
-    }
-  }
 }
 
 module.exports = Distributor;
@@ -0,0 +1,164 @@
+'use strict';
+/**
+ * events.js — Session event bus and its JSONL log.
+ *
+ * Modules publish what happened; every event is delivered to in-process
+ * subscribers and appended as one JSON line to .zeroclaw/events.jsonl:
+ *
+ *   {"at":"2025-06-01T10:04:12.345Z","type":"task.assigned","session":"…","id":3,"title":"Build the API","agent":"claude"}
+ *
+ * Event types:
+ *   session.transition   lifecycle move: from, to, reason
+ *   plan.produced        plan, phase, tasks, source
+ *   task.assigned        id, title, agent, reason
+ *   task.done            id, title, agent
+ *   task.cancelled       id, title, agent (the one that held it, if any)
+ *   task.reassigned      id, title, agent (the one it was taken from), reason
+ *   agent.launched       agent, window, runner, cwd, branch
+ *   reward.recorded      agent, score, kind (success | error), task / file
+ *   commit.made          agent, branch, commit ("<sha> <subject>")
+ *   merge.result         branch, base, ok, error
+ *
+ * Subscribe in-process with Events.for(workspace).on(type | '*', fn). Scripts
+ * follow the file instead: `zeroclaw events --follow --json`. The status
+ * dashboard shows the latest events and each session archive keeps its own.
+ */
+
+const path         = require('path');
+const fs           = require('fs-extra');
+const chokidar     = require('chokidar');
+const EventEmitter = require('events');
+const { log }      = require('./ui');
+
+const buses = new Map();   // workspace → EventBus, one per workspace in this process
+
+class EventBus extends EventEmitter {
+  constructor(workspace) {
+    super();
+    this.workspace = workspace;
+    this.file      = path.join(workspace, '.zeroclaw', 'events.jsonl');
+    this.session   = null;   // session id stamped on every event (set by Session)
+    this.chain     = Promise.resolve();
+  }
+
+  /** The bus for a workspace. */
+  static for(workspace) {
+    const ws = path.resolve(workspace);
+    if (!buses.has(ws)) buses.set(ws, new EventBus(ws));
+    return buses.get(ws);
+  }
+
+  /**
+   * Deliver an event to subscribers (type, then '*') and append it to the log.
+   * A failing subscriber is reported, not fatal.
+   * @param {string} type  see the list above
+   * @param {object} data
+   */
+  publish(type, data = {}) {
+    const event = { at: new Date().toISOString(), type, ...(this.session ? { session: this.session } : {}), ...data };
+    for (const name of [type, '*']) {
+      for (const listener of this.listeners(name)) {
+        try {
+          listener(event);
+        } catch (err) {
+          log.warn(`Event subscriber for "${name}" failed: ${err.message}`);
+        }
+      }
+    }
+    this.chain = this.chain
+      .then(() => fs.ensureDir(path.dirname(this.file)))
+      .then(() => fs.appendFile(this.file, JSON.stringify(event) + '\n'))
+      .catch(err => log.warn(`Event log: ${err.message}`));
+    return this.chain;
+  }
+
+  /** Resolves once every event published so far is on disk. */
+  async flush() {
+    await this.chain;
+  }
+
+  /**
+   * Logged events, oldest first.
+   * @param {object} opts  { session } only that session's; { type } only types starting with it
+   */
+  static async read(workspace, opts = {}) {
+    const file = path.join(workspace, '.zeroclaw', 'events.jsonl');
+    if (!await fs.pathExists(file)) return [];
+    return parse(await fs.readFile(file, 'utf8'), opts);
+  }
+
+  /**
+   * Call `fn(event)` for every event appended to the log from now on.
+   * @param {object} opts  as for read()
+   * @returns {Promise<() => Promise<void>>}  stops following
+   */
+  static async follow(workspace, fn, opts = {}) {
+    const file = path.join(workspace, '.zeroclaw', 'events.jsonl');
+    await fs.ensureDir(path.dirname(file));
+    let offset = await fs.pathExists(file) ? (await fs.stat(file)).size : 0;
+    let rest   = '';
+    let chain  = Promise.resolve();
+
+    const readNew = () => {
+      chain = chain.then(async () => {
+        const { size } = await fs.stat(file);
+        if (size < offset) offset = 0;   // log was replaced
+        if (size === offset) return;
+        const buf = Buffer.alloc(size - offset);
+        const fd  = await fs.open(file, 'r');
+        try {
+          await fs.read(fd, buf, 0, buf.length, offset);
+        } finally {
+          await fs.close(fd);
+        }
+        offset = size;
+        const text  = rest + buf.toString('utf8');
+        const cut   = text.lastIndexOf('\n') + 1;
+        rest        = text.slice(cut);
+        parse(text.slice(0, cut), opts).forEach(fn);
+      }).catch(() => { /* file went away meanwhile */ });
+    };
+
+    const watcher = chokidar.watch(file, { persistent: true });
+    watcher.on('add', readNew).on('change', readNew);
+    return () => watcher.close();
+  }
+
+  /** One line for people: "task.assigned  #3 Build the API → claude". */
+  static describe(e) {
+    switch (e.type) {
+      case 'session.transition': return `${e.from} → ${e.to}${e.reason ? `  (${e.reason})` : ''}`;
+      case 'plan.produced':      return `${e.plan || 'plan'}${e.phase != null ? ` phase ${e.phase}` : ''}: ${e.tasks} task(s)${e.source ? ` from ${e.source}` : ''}`;
+      case 'task.assigned':      return `#${e.id} ${e.title} → ${e.agent}`;
+      case 'task.done':          return `#${e.id} ${e.title}${e.agent ? ` by ${e.agent}` : ''}`;
+      case 'task.cancelled':     return `#${e.id} ${e.title}${e.agent ? ` (was with ${e.agent})` : ''}`;
+      case 'task.reassigned':    return `#${e.id} ${e.title} taken from ${e.agent}: ${e.reason}`;
+      case 'agent.launched':     return `${e.agent} in ${e.runner} window "${e.window}"${e.branch ? ` on ${e.branch}` : ''}`;
+      case 'reward.recorded':    return `${e.agent} ${e.score > 0 ? '+' : ''}${e.score} (${e.kind})${e.task ? `  ${e.task}` : ''}`;
+      case 'commit.made':        return `${e.agent ? `${e.agent} ` : ''}${e.commit}${e.branch ? `  (${e.branch})` : ''}`;
+      case 'merge.result':       return `${e.branch} → ${e.base} ${e.ok ? 'merged' : `failed: ${e.error}`}`;
+      default: {
+        const { at, type, session, ...data } = e;
+        return JSON.stringify(data);
+      }
+    }
+  }
+}
+
+/* ── Helpers ─────────────────────────────────────────────────────── */
+
+function parse(text, { session = null, type = null } = {}) {
+  const events = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const e = JSON.parse(line);
+      if (session && e.session !== session) continue;
+      if (type && !e.type.startsWith(type)) continue;
+      events.push(e);
+    } catch { /* torn write */ }
+  }
+  return events;
+}
+
+module.exports = EventBus;
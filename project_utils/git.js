@@ -7,13 +7,31 @@
  *  - Uniform commit messages:  <type>(<scope>): <description>  (Conventional Commits)
  *  - Session tags:             zeroclaw/<session-id>
  *  - Auto-stash before switching branches
+ *  - One worktree per agent:   .zeroclaw/worktrees/<agent>  (own checkout, own branch)
+ *  - .gitignore entries for zeroclaw's own state, plus "git.ignore" from config.json
  */
 
 const execa   = require('execa');
 const fs      = require('fs-extra');
 const path    = require('path');
+const Events  = require('./events');
+const Config  = require('./config');
 const { log } = require('./ui');
 
+// Session state that must never be committed; config "git.ignore" adds to these
+const STATE_IGNORES   = [
+  '.zeroclaw/session.json',
+  '.zeroclaw/agent-env.sh',
+  '.zeroclaw/lightning-spans/',
+  '.zeroclaw/worktrees/',
+  '.zeroclaw/queue.json',
+  '.zeroclaw/logs/',
+  '.zeroclaw/pty.json',
+  '.zeroclaw/journal.jsonl',
+  '.zeroclaw/events.jsonl'
+];
+const DEFAULT_IGNORES = ['node_modules/', '.env', '*.log'];
+
 class Git {
   constructor(workspace) {
     this.workspace = workspace;
@@ -33,12 +51,17 @@ class Git {
     await this._ensureGitignore();
   }
 
-  /** Create a feature branch for an agent's task set. */
-  async createFeatureBranch(agentName, phase, taskSlug) {
-    const slug   = this._slugify(taskSlug);
-    const branch = phase
+  /** Branch name for an agent's task set:  feature/[phase-N/]<agent>/<slug> */
+  branchName(agentName, phase, taskSlug) {
+    const slug = this._slugify(taskSlug);
+    return phase
       ? `feature/phase-${phase}/${agentName}/${slug}`
       : `feature/${agentName}/${slug}`;
+  }
+
+  /** Create a feature branch for an agent's task set. */
+  async createFeatureBranch(agentName, phase, taskSlug) {
+    const branch = this.branchName(agentName, phase, taskSlug);
 
     try {
       await execa('git', ['checkout', '-b', branch], { cwd: this.workspace, stdio: 'pipe' });
@@ -50,6 +73,76 @@ class Git {
     return branch;
   }
 
+  /* ── Worktrees ──────────────────────────────────────────────────── */
+
+  /** Where an agent's worktree lives:  .zeroclaw/worktrees/<agent> */
+  worktreePath(agentName) {
+    return path.join(this.workspace, '.zeroclaw', 'worktrees', agentName);
+  }
+
+  /**
+   * Give an agent its own checkout so concurrent agents never fight over
+   * `git checkout` in one working tree. Reuses the agent's worktree if it
+   * already exists (e.g. a second task in the same session).
+   * @returns {{agent:string, path:string, branch:string}}
+   */
+  async addWorktree(agentName, phase, taskSlug) {
+    const dir = this.worktreePath(agentName);
+
+    if (await fs.pathExists(dir)) {
+      const { stdout } = await execa('git', ['branch', '--show-current'], { cwd: dir, stdio: 'pipe' });
+      return { agent: agentName, path: dir, branch: stdout.trim() };
+    }
+
+    const branch = this.branchName(agentName, phase, taskSlug);
+    await fs.ensureDir(path.dirname(dir));
+    try {
+      await execa('git', ['worktree', 'add', '-b', branch, dir], { cwd: this.workspace, stdio: 'pipe' });
+    } catch {
+      // Branch may already exist — check it out into the new worktree
+      await execa('git', ['worktree', 'add', dir, branch], { cwd: this.workspace, stdio: 'pipe' });
+    }
+    log.info(`  Worktree created: ${path.relative(this.workspace, dir)}  (${branch})`);
+    return { agent: agentName, path: dir, branch };
+  }
+
+  /**
+   * Put an agent's worktree back on the branch it had (resuming from the
+   * journal after a crash or `zeroclaw kill`). An existing worktree is reused.
+   * @returns {{agent:string, path:string, branch:string}}
+   */
+  async restoreWorktree(agentName, branch) {
+    const dir = this.worktreePath(agentName);
+    if (await fs.pathExists(dir)) {
+      const { stdout } = await execa('git', ['branch', '--show-current'], { cwd: dir, stdio: 'pipe' });
+      return { agent: agentName, path: dir, branch: stdout.trim() };
+    }
+
+    // Forget a worktree whose folder is gone, or git refuses to add it again
+    await execa('git', ['worktree', 'prune'], { cwd: this.workspace, stdio: 'pipe' });
+    await fs.ensureDir(path.dirname(dir));
+    await execa('git', ['worktree', 'add', dir, branch], { cwd: this.workspace, stdio: 'pipe' });
+    log.info(`  Worktree restored: ${path.relative(this.workspace, dir)}  (${branch})`);
+    return { agent: agentName, path: dir, branch };
+  }
+
+  /**
+   * Remove an agent worktree. Refuses (returns false) when it has uncommitted
+   * changes unless `force` is set; the branch itself is always kept.
+   */
+  async removeWorktree(dir, { force = false } = {}) {
+    if (!await fs.pathExists(dir)) return true;
+    try {
+      await execa('git', ['worktree', 'remove', ...(force ? ['--force'] : []), dir], {
+        cwd: this.workspace, stdio: 'pipe'
+      });
+      return true;
+    } catch (err) {
+      log.warn(`  Worktree kept: ${dir} (${err.stderr?.split('\n')[0] || err.message})`);
+      return false;
+    }
+  }
+
   /** Commit with a Conventional Commits message. */
   async commit(type, scope, description, extra = '') {
     const msg = `${type}(${scope}): ${description}${extra ? '\n\n' + extra : ''}`;
@@ -57,6 +150,7 @@ class Git {
       await execa('git', ['add', '-A'], { cwd: this.workspace, stdio: 'pipe' });
       await execa('git', ['commit', '-m', msg], { cwd: this.workspace, stdio: 'inherit' });
       log.info(`  Committed: ${msg.split('\n')[0]}`);
+      Events.for(this.workspace).publish('commit.made', { agent: null, branch: await this.currentBranch(), commit: await this.lastCommit() });
     } catch (err) {
       // Nothing to commit — that's fine
       if (!err.stdout?.includes('nothing to commit')) {
@@ -80,8 +174,54 @@ class Git {
         cwd: this.workspace, stdio: 'inherit'
       });
       log.info(`  Merged ${featureBranch} → ${baseBranch}`);
+      Events.for(this.workspace).publish('merge.result', { branch: featureBranch, base: baseBranch, ok: true, error: null });
     } catch (err) {
       log.warn(`  Merge failed: ${err.message}`);
+      Events.for(this.workspace).publish('merge.result', { branch: featureBranch, base: baseBranch, ok: false, error: err.shortMessage || err.message });
+    }
+  }
+
+  /** One-line summary of HEAD ("abc1234 feat(api): add routes"), or null. */
+  async lastCommit() {
+    try {
+      const { stdout } = await execa('git', ['log', '--oneline', '-1'], { cwd: this.workspace, stdio: 'pipe' });
+      return stdout.trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Full hash of HEAD, or null. */
+  async head() {
+    try {
+      const { stdout } = await execa('git', ['rev-parse', 'HEAD'], { cwd: this.workspace, stdio: 'pipe' });
+      return stdout.trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Checked-out branch name, or null (detached HEAD). */
+  async currentBranch() {
+    try {
+      const { stdout } = await execa('git', ['branch', '--show-current'], { cwd: this.workspace, stdio: 'pipe' });
+      return stdout.trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Commits on any local branch since `commit` (agents' feature branches included).
+   * @param {string|null} commit  without one, everything since `since` (ISO date)
+   */
+  async logSince(commit, since = null) {
+    const range = commit ? ['--branches', `^${commit}`] : ['--branches', ...(since ? [`--since=${since}`] : ['-50'])];
+    try {
+      const { stdout } = await execa('git', ['log', '--oneline', '--decorate', ...range], { cwd: this.workspace, stdio: 'pipe' });
+      return stdout;
+    } catch {
+      return '';
     }
   }
 
@@ -100,15 +240,9 @@ class Git {
   }
 
   async _ensureGitignore() {
-    const gi = path.join(this.workspace, '.gitignore');
-    const entries = [
-      '.zeroclaw/session.json',
-      '.zeroclaw/agent-env.sh',
-      '.zeroclaw/lightning-spans/',
-      'node_modules/',
-      '.env',
-      '*.log'
-    ];
+    const gi      = path.join(this.workspace, '.gitignore');
+    const config  = await Config.load(this.workspace);
+    const entries = [...STATE_IGNORES, ...config.get('git.ignore', DEFAULT_IGNORES)];
 
     let current = '';
     if (await fs.pathExists(gi)) current = await fs.readFile(gi, 'utf8');
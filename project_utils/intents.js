@@ -0,0 +1,257 @@
+'use strict';
+/**
+ * intents.js — What the user wants, from what they typed.
+ *
+ * A classifier turns one message into
+ *
+ *   { intent, confidence, entities, source }
+ *
+ *   intent      project_init | new_task | continue | exit | unknown
+ *   confidence  0 … 1; below "intent.confirmBelow" the conversation asks first
+ *   entities    { description, phase } — the request without its command words
+ *               and a roadmap phase named in it ("phase 3")
+ *   source      which classifier answered: regex | llm
+ *
+ * A leading command settles the intent on its own, whatever follows it:
+ * "new task: init the database schema" is a task, not a project, and
+ * "new task: build a goodbye screen" does not end the session. The cues below
+ * only weigh messages that start without one.
+ *
+ * Switches are spelled out so they never come from the task itself ("force
+ * HTTPS redirects", "add image preview"): `--force` / `--preview` anywhere, or
+ * a leading `force:` / `preview:`. switches() takes them out of the text
+ * before it is classified or planned.
+ *
+ * Two backends, chosen with the config key "intent":
+ *
+ *   regex  (default) offline keyword rules. Negated verbs ("add nothing",
+ *          "don't build") do not count, and a message about the existing
+ *          project is never a new one.
+ *   llm    asks an OpenAI-compatible chat endpoint; without an endpoint, or
+ *          when the call fails or answers nonsense, the regex rules answer
+ *
+ *   { "intent": { "classifier": "llm", "confirmBelow": 0.5,
+ *                 "llm": { "baseUrl": "http://localhost:11434/v1", "model": "llama3.1" } } }
+ */
+
+const { log } = require('./ui');
+
+const INTENTS  = ['project_init', 'new_task', 'continue', 'exit', 'unknown'];
+const SWITCHES = ['force', 'preview'];
+
+const DEFAULTS = {
+  classifier:   'regex',
+  confirmBelow: 0.5
+};
+
+/* ── Regex ────────────────────────────────────────────────────────── */
+
+// [pattern, weight] per intent; a message scores the sum of the cues it matches
+const CUES = {
+  exit: [
+    [/\b(exit|quit|bye|goodbye|end (the )?session)\b/, 1],
+    [/\b(done|stop|that'?s all)\b/, 0.5],
+    [/\b(just|only) (exit|quit|stop)\b/, 0.5]
+  ],
+  project_init: [
+    [/\b(new project|start fresh|from scratch|create (a |the )?project|initiali[sz]e|init)\b/, 1],
+    [/\bscaffold/, 0.6]
+  ],
+  continue: [
+    [/\b(continue|resume|pick up|where (was|were) (i|we)|carry on)\b/, 1],
+    [/\brestore\b/, 0.6]
+  ],
+  new_task: [
+    [/\bnew (feature|task|plan)\b/, 1],
+    [/\b(add|implement|build|fix|refactor|update|create|scaffold|write)\b/, 0.6]
+  ]
+};
+
+// Leading command words that decide the intent: "new task: …", "project: …", "exit"
+const COMMANDS = [
+  ['new_task',     /^\s*(?:new\s+(?:task|feature|plan)\b|(?:task|feature)\s*[:—–-])/i],
+  ['project_init', /^\s*(?:new\s+project\b|project\s*[:—–-])/i],
+  ['continue',     /^\s*(?:continue|resume)\s*(?:[:—–.!-]|$)/i],
+  ['exit',         /^\s*(?:exit|quit|bye|goodbye)\s*(?:[:—–.!-]|$)/i]
+];
+
+// Verbs the user rules out: "add nothing", "don't build", "no need to resume"
+const NEGATED  = /\b(?:(?:don'?t|do not|no need to|never|not)\s+(?:\w+\s+)?\w+|\w+\s+nothing)\b/g;
+// Work on what is already here — never a new project
+const EXISTING = /\b(existing|current|this) (project|codebase|code|repo|repository|app)\b/;
+
+class RegexClassifier {
+  constructor() {
+    this.name = 'regex';
+  }
+
+  async classify(text) {
+    const decided = command(text);
+    if (decided) return { intent: decided, confidence: 1, entities: extractEntities(text), source: this.name };
+
+    const t      = text.toLowerCase().replace(NEGATED, ' ');
+    const scores = {};
+    for (const [intent, cues] of Object.entries(CUES)) {
+      scores[intent] = cues.reduce((sum, [re, weight]) => sum + (re.test(t) ? weight : 0), 0);
+    }
+    if (EXISTING.test(t) && scores.project_init) {
+      scores.new_task    += scores.project_init;
+      scores.project_init = 0;
+    }
+
+    const [[best, top], [, next]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const entities = extractEntities(text);
+    if (!top) return { intent: 'unknown', confidence: 0, entities, source: this.name };
+    // A strong cue alone is as sure as keyword rules get; a rival intent halves it at worst
+    const confidence = Math.min(top, 1) * 0.9 * (top / (top + next));
+    return { intent: best, confidence: round(confidence), entities, source: this.name };
+  }
+}
+
+/* ── LLM ──────────────────────────────────────────────────────────── */
+
+const LLM_DEFAULTS = {
+  baseUrl:        null,              // e.g. http://localhost:11434/v1 (Ollama), https://api.openai.com/v1
+  model:          'gpt-4o-mini',
+  apiKeyEnv:      'OPENAI_API_KEY',  // env var holding the bearer token, if the endpoint needs one
+  timeoutSeconds: 20
+};
+
+const SYSTEM_PROMPT = `You route messages typed into a multi-agent coding supervisor. Classify the user's message.
+
+Intents:
+- project_init: start a brand new project from nothing
+- new_task: plan new work (feature, fix, refactor, …) on the project that exists
+- continue: resume the work of a previous session
+- exit: end the session
+- unknown: none of these, or too unclear to tell
+
+Answer with one JSON object and nothing else:
+{"intent": "<intent>", "confidence": <0..1>, "description": "<what to build, without command words, or null>", "phase": <roadmap phase number the user named, or null>}`;
+
+class LlmClassifier {
+  constructor(opts = {}) {
+    this.name     = 'llm';
+    this.opts     = { ...LLM_DEFAULTS, ...opts };
+    this.fallback = new RegexClassifier();
+    this.warned   = false;
+  }
+
+  async classify(text) {
+    const decided = command(text);
+    if (decided) return { intent: decided, confidence: 1, entities: extractEntities(text), source: this.name };
+    if (!this.opts.baseUrl) return this._fallBack(text, 'no intent.llm.baseUrl configured');
+    try {
+      const answer = parseAnswer(await this._complete(text));
+      const local  = extractEntities(text);
+      return {
+        intent:     answer.intent,
+        confidence: answer.confidence,
+        entities:   {
+          ...local,
+          description: answer.description || local.description,
+          phase:       answer.phase ?? local.phase
+        },
+        source:     this.name
+      };
+    } catch (err) {
+      return this._fallBack(text, err.message);
+    }
+  }
+
+  async _complete(text) {
+    const apiKey = process.env[this.opts.apiKeyEnv];
+    const res    = await fetch(`${this.opts.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+      body:    JSON.stringify({
+        model:       this.opts.model,
+        temperature: 0,
+        messages:    [{ role: 'system', content: SYSTEM_PROMPT }, { role: 'user', content: text }]
+      }),
+      signal:  AbortSignal.timeout(this.opts.timeoutSeconds * 1000)
+    });
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText} from ${this.opts.baseUrl}`);
+
+    const content = (await res.json()).choices?.[0]?.message?.content;
+    if (!content) throw new Error('empty completion');
+    return content;
+  }
+
+  /** The regex answer instead; the reason is shown once per session. */
+  _fallBack(text, reason) {
+    if (!this.warned) log.warn(`Intent classifier: ${reason} — using keyword rules.`);
+    this.warned = true;
+    return this.fallback.classify(text);
+  }
+}
+
+/* ── Factory ──────────────────────────────────────────────────────── */
+
+const CLASSIFIERS = { regex: RegexClassifier, llm: LlmClassifier };
+
+/**
+ * The classifier for the "intent" config.
+ * @param {object} config  { classifier: 'regex' | 'llm', confirmBelow, llm: {...} }
+ */
+function createClassifier(config = {}) {
+  const kind = config.classifier || DEFAULTS.classifier;
+  if (!CLASSIFIERS[kind]) throw new Error(`Unknown intent classifier "${kind}" — use ${Object.keys(CLASSIFIERS).join(' | ')}`);
+  return kind === 'llm' ? new LlmClassifier(config.llm) : new RegexClassifier();
+}
+
+/* ── Helpers ─────────────────────────────────────────────────────── */
+
+/** The intent a leading command word decides, or null. */
+function command(text) {
+  return COMMANDS.find(([, re]) => re.test(text))?.[0] || null;
+}
+
+/** Entities any classifier can read straight from the text. */
+function extractEntities(text) {
+  const phase = text.match(/\bphase\s+0*(\d+)\b/i);
+  return {
+    description: text.replace(/^\s*(new (project|task|feature|plan)|task|project)\s*[:—–-]\s*/i, '').trim() || null,
+    phase:       phase ? parseInt(phase[1]) : null
+  };
+}
+
+/**
+ * Take the switches out of a message: "preview: new task: add X" or "new task: add X --force".
+ * @returns {{text:string, force:boolean, preview:boolean}}  text: the message without them
+ */
+function switches(message) {
+  const names = SWITCHES.join('|');
+  const found = Object.fromEntries(SWITCHES.map(name => [name, false]));
+  let   text  = message;
+  for (let m; (m = text.match(new RegExp(`^\\s*(${names})\\s*:\\s*`, 'i')));) {
+    found[m[1].toLowerCase()] = true;
+    text = text.slice(m[0].length);
+  }
+  text = text.replace(new RegExp(`(^|\\s)--(${names})(?=\\s|$)`, 'gi'), (_, space, name) => {
+    found[name.toLowerCase()] = true;
+    return space;
+  });
+  return { text: text.replace(/\s{2,}/g, ' ').trim(), ...found };
+}
+
+/** The endpoint's JSON answer, checked; fenced or surrounded by prose is fine. */
+function parseAnswer(content) {
+  const json = content.match(/\{[\s\S]*\}/);
+  if (!json) throw new Error('the answer was not JSON');
+  const answer = JSON.parse(json[0]);
+  if (!INTENTS.includes(answer.intent)) throw new Error(`unknown intent "${answer.intent}" in the answer`);
+  const confidence = Number(answer.confidence);
+  return {
+    intent:      answer.intent,
+    confidence:  Number.isFinite(confidence) ? round(Math.min(Math.max(confidence, 0), 1)) : 0.5,
+    description: typeof answer.description === 'string' ? answer.description.trim() : null,
+    phase:       Number.isInteger(answer.phase) ? answer.phase : null
+  };
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+module.exports = { createClassifier, switches, RegexClassifier, LlmClassifier, CLASSIFIERS, INTENTS, SWITCHES, DEFAULTS };
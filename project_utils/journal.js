@@ -0,0 +1,158 @@
+'use strict';
+/**
+ * journal.js — Append-only session journal, for exact resume after a crash.
+ *
+ * queue.json and session.json are rewritten in place and only hold the
+ * latest state; the journal keeps every step that led to it. Each entry is one
+ * JSON line in .zeroclaw/journal.jsonl, flushed to disk before the supervisor
+ * moves on:
+ *
+ *   plan      a distribution started: plan type, phase and every task with its claim
+ *   add       re-planning added tasks
+ *   assign    an agent claimed a task (routing, a pull, a preview move)
+ *   task      a task changed: started | stopped | done | unclaimed | reassigned | cancelled
+ *   launch    an agent window opened: window, cwd, branch
+ *   guidance  a message sent to an agent along with its rewritten brief
+ *   exit      an agent window was closed (idle, relaunch, kill, supervisor exit)
+ *
+ *   {"id":3,"agent":"claude","at":"2025-06-01T10:04:12.345Z","type":"assign"}
+ *
+ * replay() folds the entries since the last `plan` back into the queue as it
+ * stood (queue.json's task format) and, per agent, its window, branch and the
+ * latest guidance — what `continue` / `zeroclaw start --resume` relaunch from.
+ * A torn last line (the supervisor died mid-write) is skipped.
+ */
+
+const path    = require('path');
+const fs      = require('fs-extra');
+const { log } = require('./ui');
+
+const GUIDANCE_KEPT = 5;   // latest guidance messages replayed into a resumed brief
+
+class Journal {
+  constructor(workspace) {
+    this.file  = path.join(workspace, '.zeroclaw', 'journal.jsonl');
+    this.chain = mend(this.file).catch(() => {});
+  }
+
+  /**
+   * Append an entry; entries are written one at a time, in call order.
+   * @param {string} type  see the list above
+   * @param {object} data
+   */
+  record(type, data = {}) {
+    const line = JSON.stringify({ ...data, at: new Date().toISOString(), type }) + '\n';
+    this.chain = this.chain
+      .then(() => append(this.file, line))
+      .catch(err => log.warn(`Journal: ${err.message}`));
+    return this.chain;
+  }
+
+  /** Every readable entry, oldest first. */
+  static async read(workspace) {
+    const file = path.join(workspace, '.zeroclaw', 'journal.jsonl');
+    if (!await fs.pathExists(file)) return [];
+    const entries = [];
+    for (const line of (await fs.readFile(file, 'utf8')).split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch { /* torn write */ }
+    }
+    return entries;
+  }
+
+  /**
+   * The last distribution, rebuilt from the journal.
+   * @returns {Promise<{plan:{type, phase}, tasks:object[], agents:Object<string, object>, at:string}|null>}
+   *          tasks in queue.json's format; agents: { window, cwd, branch, launchedAt, exited, guidance };
+   *          null when no distribution was journaled
+   */
+  static async replay(workspace) {
+    const entries = await Journal.read(workspace);
+    const start   = entries.map(e => e.type).lastIndexOf('plan');
+    if (start < 0) return null;
+
+    const { plan, tasks: snapshot } = entries[start];
+    const tasks  = new Map(snapshot.map(t => [t.id, { ...t }]));
+    const agents = {};
+    const agent  = name => (agents[name] ||= { window: name, cwd: null, branch: null, launchedAt: null, exited: null, guidance: [] });
+
+    for (const e of entries.slice(start + 1)) {
+      const t = tasks.get(e.id);
+      switch (e.type) {
+        case 'add':
+          for (const task of e.tasks) tasks.set(task.id, { ...task, status: task.done ? 'done' : 'pending', agent: null, attempts: [] });
+          break;
+        case 'assign':
+          if (t) Object.assign(t, { status: 'claimed', agent: e.agent, claimedAt: e.at, startedAt: null, endedAt: null, doneAt: null });
+          break;
+        case 'task':
+          if (t) applyTask(tasks, t, e);
+          break;
+        case 'launch':
+          Object.assign(agent(e.agent), { window: e.window || e.agent, cwd: e.cwd, branch: e.branch || null, launchedAt: e.at, exited: null });
+          break;
+        case 'guidance':
+          agent(e.agent).guidance = [...agent(e.agent).guidance, { at: e.at, message: e.message }].slice(-GUIDANCE_KEPT);
+          break;
+        case 'exit':
+          agent(e.agent).exited = { at: e.at, reason: e.reason };
+          break;
+      }
+    }
+    return { plan, tasks: [...tasks.values()], agents, at: entries[entries.length - 1].at };
+  }
+}
+
+/* ── Helpers ─────────────────────────────────────────────────────── */
+
+/** One task transition, mirroring what TaskQueue did to the task. */
+function applyTask(tasks, t, e) {
+  const release = () => Object.assign(t, { status: 'pending', agent: null, claimedAt: null, startedAt: null, endedAt: null });
+  switch (e.status) {
+    case 'started':    Object.assign(t, { startedAt: e.at, endedAt: null }); break;
+    case 'stopped':    t.endedAt = e.at; break;
+    case 'done':       Object.assign(t, { status: 'done', agent: t.agent || e.agent || null, endedAt: e.at, doneAt: e.at }); break;
+    case 'unclaimed':  release(); break;
+    case 'reassigned': {
+      const { agent, reason, branch = null, lastCommit = null } = e;
+      t.attempts = [...(t.attempts || []), { agent, at: e.at, reason, branch, lastCommit }];
+      release();
+      break;
+    }
+    case 'cancelled':
+      tasks.delete(t.id);
+      for (const other of tasks.values()) other.deps = (other.deps || []).filter(d => d !== t.id);
+      break;
+  }
+}
+
+/** End a torn last line, so the first entry appended after a crash starts on a line of its own. */
+async function mend(file) {
+  if (!await fs.pathExists(file)) return;
+  const { size } = await fs.stat(file);
+  if (!size) return;
+  const fd   = await fs.open(file, 'r');
+  const last = Buffer.alloc(1);
+  try {
+    await fs.read(fd, last, 0, 1, size - 1);
+  } finally {
+    await fs.close(fd);
+  }
+  if (last.toString() !== '\n') await fs.appendFile(file, '\n');
+}
+
+/** Append and flush, so the line survives a crash or power loss right after. */
+async function append(file, line) {
+  await fs.ensureDir(path.dirname(file));
+  const fd = await fs.open(file, 'a');
+  try {
+    await fs.write(fd, line);
+    await fs.fsync(fd);
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+module.exports = Journal;
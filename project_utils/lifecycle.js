@@ -0,0 +1,107 @@
+'use strict';
+/**
+ * lifecycle.js — Session state machine.
+ *
+ *   idle → conversing → planning → distributing → agents_running → session_end
+ *
+ * Allowed moves (anything else throws):
+ *
+ *   idle            → conversing | session_end
+ *   conversing      → planning | distributing (continue) | session_end
+ *   planning        → distributing | conversing (no plan) | agents_running (no change to live agents) | session_end
+ *   distributing    → agents_running | conversing (nothing launched) | session_end
+ *   agents_running  → planning (re-plan) | distributing (continue) | session_end
+ *   session_end     → (final)
+ *
+ * Every transition is timestamped and kept in `history`, which Session
+ * persists to session.json — so status, resume and crash recovery can tell
+ * exactly where a session stopped. Other modules subscribe with
+ * on(state, fn) or on('*', fn); hooks run in order and a failing hook is
+ * reported, not fatal.
+ */
+
+const { log } = require('./ui');
+
+const STATES = {
+  IDLE:           'idle',
+  CONVERSING:     'conversing',
+  PLANNING:       'planning',
+  DISTRIBUTING:   'distributing',
+  AGENTS_RUNNING: 'agents_running',
+  SESSION_END:    'session_end'
+};
+
+const TRANSITIONS = {
+  idle:           ['conversing', 'session_end'],
+  conversing:     ['planning', 'distributing', 'session_end'],
+  planning:       ['distributing', 'conversing', 'agents_running', 'session_end'],
+  distributing:   ['agents_running', 'conversing', 'session_end'],
+  agents_running: ['planning', 'distributing', 'session_end'],
+  session_end:    []
+};
+
+class Lifecycle {
+  /**
+   * @param {object} prev  { state, history } as persisted, to carry on a session's record
+   */
+  constructor(prev = {}) {
+    this.state   = STATES.IDLE;
+    this.history = prev.history || [];   // [{ from, to, at, reason }]
+    this.hooks   = new Map();            // state | '*' → [fn]
+  }
+
+  /** When the current state was entered. */
+  get since() {
+    return this.history.length ? this.history[this.history.length - 1].at : null;
+  }
+
+  can(to) {
+    return (TRANSITIONS[this.state] || []).includes(to);
+  }
+
+  /**
+   * Move to `to`. Staying in the current state is a no-op.
+   * @param {string} to
+   * @param {string} reason  why, kept in the history
+   * @returns {Promise<object|null>}  the transition, or null if nothing changed
+   */
+  async go(to, reason = null) {
+    if (to === this.state) return null;
+    if (!TRANSITIONS[to])  throw new Error(`Unknown session state "${to}"`);
+    if (!this.can(to)) {
+      throw new Error(`Invalid session transition ${this.state} → ${to}` +
+        (TRANSITIONS[this.state].length ? ` (allowed: ${TRANSITIONS[this.state].join(', ')})` : ''));
+    }
+
+    const transition = { from: this.state, to, at: new Date().toISOString(), ...(reason ? { reason } : {}) };
+    this.state = to;
+    this.history.push(transition);
+
+    for (const hook of [...(this.hooks.get(to) || []), ...(this.hooks.get('*') || [])]) {
+      try {
+        await hook(transition);
+      } catch (err) {
+        log.warn(`Session hook for "${to}" failed: ${err.message}`);
+      }
+    }
+    return transition;
+  }
+
+  /**
+   * Run `fn(transition)` whenever the session enters `state` ('*' = every transition).
+   * @returns {() => void}  unsubscribes
+   */
+  on(state, fn) {
+    if (state !== '*' && !TRANSITIONS[state]) throw new Error(`Unknown session state "${state}"`);
+    this.hooks.set(state, [...(this.hooks.get(state) || []), fn]);
+    return () => this.hooks.set(state, this.hooks.get(state).filter(h => h !== fn));
+  }
+
+  toJSON() {
+    return { state: this.state, since: this.since, history: this.history };
+  }
+}
+
+Lifecycle.STATES      = STATES;
+Lifecycle.TRANSITIONS = TRANSITIONS;
+module.exports        = Lifecycle;
@@ -24,6 +24,7 @@
  * Architecture:
  *   Lightning LLM Proxy   (port 8765)  ← agents send LLM calls here
  *   Lightning Store        (port 8766)  ← collects spans / rewards
+ *   (ports: config keys lightning.proxyPort / lightning.storePort)
  *   Lightning Trainer               ← analyses spans, updates prompts
  *   File Watcher                    ← watches .zeroclaw/errors/ for signals
  */
@@ -34,14 +35,22 @@ const execa    = require('execa');
 const chokidar = require('chokidar');
 const chalk    = require('chalk');
 const ora      = require('ora');
+const Events   = require('./events');
 const { log }  = require('./ui');
 
-const LIGHTNING_PROXY_PORT = 8765;
-const LIGHTNING_STORE_PORT = 8766;
+const DEFAULTS = {
+  proxyPort: 8765,
+  storePort: 8766
+};
 
 class Lightning {
-  constructor(workspace) {
+  /**
+   * @param {string} workspace
+   * @param {object} opts  overrides for DEFAULTS (config key "lightning")
+   */
+  constructor(workspace, opts = {}) {
     this.workspace   = workspace;
+    this.opts        = { ...DEFAULTS, ...opts };
     this.errorsDir   = path.join(workspace, '.zeroclaw', 'errors');
     this.spansDir    = path.join(workspace, '.zeroclaw', 'lightning-spans');
     this.promptsDir  = path.join(workspace, '.zeroclaw', 'lightning-prompts');
@@ -74,7 +83,7 @@ class Lightning {
     log.info(
       chalk.magenta('[AgentLightning] ') +
       (this.installed
-        ? `RL server running  proxy=:${LIGHTNING_PROXY_PORT}  store=:${LIGHTNING_STORE_PORT}`
+        ? `RL server running  proxy=:${this.opts.proxyPort}  store=:${this.opts.storePort}`
         : 'Lightweight mode  (watching .zeroclaw/errors/ for reward signals)')
     );
   }
@@ -99,11 +108,11 @@ class Lightning {
   async _startLightningServer() {
     const spinner = ora('Starting AgentLightning server...').start();
     try {
-      // agentlightning start --proxy-port 8765 --store-port 8766
+      // agentlightning start --proxy-port 8765 --store-port 8766 (defaults)
       this.serverProc = execa('agentlightning', [
         'start',
-        '--proxy-port', String(LIGHTNING_PROXY_PORT),
-        '--store-port',  String(LIGHTNING_STORE_PORT),
+        '--proxy-port', String(this.opts.proxyPort),
+        '--store-port',  String(this.opts.storePort),
         '--workspace',   this.workspace
       ], {
         cwd:         this.workspace,
@@ -129,9 +138,9 @@ class Lightning {
     await fs.writeFile(envFile, [
       '#!/usr/bin/env bash',
       '# Auto-generated by zeroclaw — sources AgentLightning proxy settings',
-      `export OPENAI_BASE_URL="http://localhost:${LIGHTNING_PROXY_PORT}/v1"`,
-      `export OPENAI_API_BASE="http://localhost:${LIGHTNING_PROXY_PORT}/v1"`,
-      `export LIGHTNING_STORE_URL="http://localhost:${LIGHTNING_STORE_PORT}"`,
+      `export OPENAI_BASE_URL="http://localhost:${this.opts.proxyPort}/v1"`,
+      `export OPENAI_API_BASE="http://localhost:${this.opts.proxyPort}/v1"`,
+      `export LIGHTNING_STORE_URL="http://localhost:${this.opts.storePort}"`,
       `export LIGHTNING_WORKSPACE="${this.workspace}"`,
       ''
     ].join('\n'));
@@ -158,6 +167,7 @@ class Lightning {
 
       const reward = { agent, file: filePath, score: -1, type: 'error', ts: Date.now() };
       this.rewardLog.push(reward);
+      this._publishReward(reward);
 
       if (this.installed) {
         await this._submitReward(reward, content);
@@ -183,6 +193,7 @@ class Lightning {
       if (span.success) {
         const reward = { agent, score: 1, type: 'success', task: span.task, ts: Date.now() };
         this.rewardLog.push(reward);
+        this._publishReward(reward);
         log.info(chalk.magenta('[AgentLightning] ') + `✓ Positive reward: ${agent} completed "${span.task}"`);
 
         if (this.installed) await this._submitReward(reward, content);
@@ -190,6 +201,13 @@ class Lightning {
     });
   }
 
+  _publishReward(reward) {
+    const { agent, score, type, task, file } = reward;
+    Events.for(this.workspace).publish('reward.recorded', {
+      agent, score, kind: type, ...(task ? { task } : {}), ...(file ? { file: path.relative(this.workspace, file) } : {})
+    });
+  }
+
   /* ── Learning triggers ──────────────────────────────────────────── */
 
   /**
@@ -202,7 +220,7 @@ class Lightning {
       const { default: fetch } = await import('node-fetch').catch(() => ({ default: null }));
       if (!fetch) return;
 
-      await fetch(`http://localhost:${LIGHTNING_STORE_PORT}/api/reward`, {
+      await fetch(`http://localhost:${this.opts.storePort}/api/reward`, {
         method:  'POST',
         headers: { 'Content-Type': 'application/json' },
         body:    JSON.stringify({ ...reward, context })
@@ -222,7 +240,7 @@ class Lightning {
         '--agent',      agent,
         '--algorithm',  'apo',
         '--output',     promptOut,
-        '--store-url',  `http://localhost:${LIGHTNING_STORE_PORT}`
+        '--store-url',  `http://localhost:${this.opts.storePort}`
       ], { stdio: 'pipe', cwd: this.workspace });
 
       log.info(chalk.magenta('[AgentLightning] ') + `Prompt optimized for ${agent} → ${promptOut}`);
@@ -302,5 +320,68 @@ async function emitSpan({ agent, task, success, error }) {
   await fs.writeJson(spanFile, { agent, task, success: !!success, error, ts: Date.now() }, { spaces: 2 });
 }
 
-Lightning.emitSpan = emitSpan;
-module.exports     = Lightning;
+/**
+ * Write an error report in the same shape as `zc_task_error`, for failures the
+ * supervisor detects itself (crashed panes, timed-out tasks). The error watcher
+ * turns it into a negative reward for the agent.
+ */
+async function reportError(workspace, { agent, kind, task, error }) {
+  const errorsDir = path.join(workspace, '.zeroclaw', 'errors');
+  const ts        = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  await fs.ensureDir(errorsDir);
+  await fs.writeFile(path.join(errorsDir, `${agent}-${kind}-${Date.now()}.md`), [
+    '# Agent Error Report',
+    `Agent:   ${agent}`,
+    `Task:    ${task || 'unknown'}`,
+    `Time:    ${ts}`,
+    '',
+    '## Error',
+    error,
+    ''
+  ].join('\n'));
+}
+
+/**
+ * Successes and errors per agent, counted from the span and error files
+ * written at or after `since` (ms) — the same signals the reward watchers score.
+ * @returns {Promise<{agents: Object<string, {done, errors, score, lastAt}>, total:number}>}
+ */
+async function rewards(workspace, since = 0) {
+  const zcDir  = path.join(workspace, '.zeroclaw');
+  const agents = {};
+  const tally  = (agent, key, mtimeMs) => {
+    const a = agents[agent || 'unknown'] ||= { done: 0, errors: 0, score: 0, lastAt: null };
+    a[key]++;
+    a.score  += key === 'done' ? 1 : -1;
+    a.lastAt  = new Date(Math.max(mtimeMs, Date.parse(a.lastAt) || 0)).toISOString();
+  };
+
+  for (const [file, mtimeMs] of await signals(path.join(zcDir, 'lightning-spans'), since)) {
+    try {
+      const span = await fs.readJson(file);
+      if (span.success) tally(span.agent, 'done', mtimeMs);
+    } catch { /* partial write */ }
+  }
+  for (const [file, mtimeMs] of await signals(path.join(zcDir, 'errors'), since)) {
+    tally(path.basename(file).split('-')[0], 'errors', mtimeMs);
+  }
+  return { agents, total: Object.values(agents).reduce((s, a) => s + a.score, 0) };
+}
+
+/** [file, mtimeMs] of the files in `dir` modified at or after `since`. */
+async function signals(dir, since) {
+  if (!await fs.pathExists(dir)) return [];
+  const found = [];
+  for (const f of await fs.readdir(dir)) {
+    const file = path.join(dir, f);
+    const stat = await fs.stat(file);
+    if (stat.isFile() && stat.mtimeMs >= since) found.push([file, stat.mtimeMs]);
+  }
+  return found;
+}
+
+Lightning.DEFAULTS    = DEFAULTS;
+Lightning.emitSpan    = emitSpan;
+Lightning.reportError = reportError;
+Lightning.rewards     = rewards;
+module.exports        = Lightning;
@@ -0,0 +1,144 @@
+'use strict';
+/**
+ * phases.js — Roadmap phase progress.
+ *
+ * Works out where each ROADMAP.md phase stands so "new task" moves on to the
+ * genuinely next phase instead of re-planning the first one:
+ *
+ *   not started  — no .planning/phase-XX/PLAN.md yet
+ *   planned      — PLAN.md exists, no task done
+ *   in progress  — some tasks done: checked in PLAN.md, or a success span
+ *                  (`zc_task_done`) from an agent working on the phase
+ *   verified     — checked off in ROADMAP.md ("- [x] Phase 2", "## Phase 2 ✓"),
+ *                  or a verification report (VERIFICATION.md / UAT.md) in phase-XX/
+ *
+ * The next phase is the first one that is neither verified nor has every
+ * task done (a finished phase only waits for /gsd:verify-work).
+ */
+
+const path     = require('path');
+const fs       = require('fs-extra');
+const PlanFile = require('./planfile');
+
+const STATUS = {
+  NOT_STARTED: 'not started',
+  PLANNED:     'planned',
+  IN_PROGRESS: 'in progress',
+  VERIFIED:    'verified'
+};
+
+const ROADMAP_PHASE = /^\s*(?:#{1,6}\s+|[-*]\s*\[([ x])\]\s*)[*_]*phase\s+0*(\d+)\b[*_]*\s*[:.—–-]?\s*(.*)$/i;
+const DONE_MARK     = /✓|✅|\((?:done|complete|completed|verified)\)/i;
+
+class PhaseTracker {
+  constructor(workspace) {
+    this.workspace = workspace;
+    this.planDir   = path.join(workspace, '.planning');
+    this.spansDir  = path.join(workspace, '.zeroclaw', 'lightning-spans');
+  }
+
+  phaseDir(number) {
+    return path.join(this.planDir, `phase-${String(number).padStart(2, '0')}`);
+  }
+
+  /**
+   * Every roadmap phase with its status.
+   * @returns {Promise<Array<{number:number,title:string,status:string,tasks:number,done:number}>|null>}
+   *          null when there is no ROADMAP.md
+   */
+  async phases() {
+    const roadmap = path.join(this.planDir, 'ROADMAP.md');
+    if (!await fs.pathExists(roadmap)) return null;
+
+    const spans  = await this._successSpans();
+    const phases = [];
+    for (const { number, title, checked } of this._parseRoadmap(await fs.readFile(roadmap, 'utf8'))) {
+      const { tasks, done } = await this._progress(number, spans);
+      let status = STATUS.NOT_STARTED;
+      if (checked || await this._verified(number)) status = STATUS.VERIFIED;
+      else if (done.size)                          status = STATUS.IN_PROGRESS;
+      else if (tasks)                              status = STATUS.PLANNED;
+      phases.push({ number, title, status, tasks, done: done.size });
+    }
+    return phases;
+  }
+
+  /**
+   * The phase to plan next: the first that is not verified and not finished.
+   * @returns {Promise<number|null>}  null when there is no roadmap or every phase is finished
+   */
+  async next() {
+    return PhaseTracker.pick(await this.phases());
+  }
+
+  /** next() for an already computed phases() list. */
+  static pick(phases) {
+    if (!phases) return null;
+    if (!phases.length) return 1;
+    const next = phases.find(p => p.status !== STATUS.VERIFIED && !(p.tasks && p.done === p.tasks));
+    return next ? next.number : null;
+  }
+
+  /** Ids of a phase's tasks that agents have already reported done. */
+  async completed(number, tasks) {
+    const spans = await this._successSpans();
+    return new Set(tasks.filter(t => PhaseTracker._reported(t, number, spans)).map(t => t.id));
+  }
+
+  /* ── Sources ────────────────────────────────────────────────────── */
+
+  _parseRoadmap(content) {
+    const byNumber = new Map();
+    for (const line of content.split('\n')) {
+      const m = line.match(ROADMAP_PHASE);
+      if (!m) continue;
+      const number  = parseInt(m[2]);
+      const checked = m[1]?.toLowerCase() === 'x' || DONE_MARK.test(m[3]);
+      const title   = m[3].replace(DONE_MARK, '').replace(/[*_]/g, '').trim();
+      const known   = byNumber.get(number);
+      if (known) known.checked ||= checked;
+      else byNumber.set(number, { number, title, checked });
+    }
+    return [...byNumber.values()].sort((a, b) => a.number - b.number);
+  }
+
+  async _progress(number, spans) {
+    const planFile = path.join(this.phaseDir(number), 'PLAN.md');
+    if (!await fs.pathExists(planFile)) return { tasks: 0, done: new Set() };
+
+    const { tasks } = PlanFile.parse(await fs.readFile(planFile, 'utf8'), { phase: number });
+    const done = new Set(tasks.filter(t => t.done || PhaseTracker._reported(t, number, spans)).map(t => t.id));
+    return { tasks: tasks.length, done };
+  }
+
+  async _verified(number) {
+    const dir = this.phaseDir(number);
+    if (!await fs.pathExists(dir)) return false;
+    return (await fs.readdir(dir)).some(f => /(VERIFICATION|UAT)\.md$/i.test(f));
+  }
+
+  async _successSpans() {
+    if (!await fs.pathExists(this.spansDir)) return [];
+    const spans = [];
+    for (const f of await fs.readdir(this.spansDir)) {
+      if (!f.endsWith('.json')) continue;
+      try {
+        const span = await fs.readJson(path.join(this.spansDir, f));
+        if (span.success) spans.push(span);
+      } catch { /* partial write */ }
+    }
+    return spans;
+  }
+
+  /** A span counts for a task when it names the task's title and the phase matches (or is unknown). */
+  static _reported(task, number, spans) {
+    const title = task.title.toLowerCase();
+    return spans.some(s =>
+      (!s.phase || String(s.phase) === String(number)) &&
+      String(s.task || '').replace(/^#\d+\s*/, '').trim().toLowerCase() === title
+    );
+  }
+}
+
+PhaseTracker.STATUS = STATUS;
+module.exports      = PhaseTracker;
@@ -0,0 +1,69 @@
+'use strict';
+/**
+ * plandiff.js — What changes when a running session is re-planned.
+ *
+ * Tasks are matched between the live queue and the new plan by phase and
+ * title (ids are positional, so they shift whenever PLAN.md is edited):
+ *
+ *   kept     in both — left exactly as they are (claimed, running or done)
+ *   added    only in the new plan — get fresh ids after the live ones
+ *   removed  only in the live queue, same phase — cancelled; done tasks are never removed
+ *
+ * Removal only applies when the new plan replaces the live one (same phase
+ * re-planned). A quick task or a different phase is added alongside.
+ */
+
+class PlanDiff {
+  /**
+   * @param {Task[]} current  tasks in the live queue
+   * @param {Task[]} next     tasks of the new plan (ids numbered from 1)
+   * @param {object} opts     { replaces, done } — replaces: the new plan supersedes the live one;
+   *                          done: ids of live tasks already finished
+   */
+  constructor(current, next, opts = {}) {
+    const done   = opts.done || new Set();
+    const byKey  = new Map(current.map(t => [PlanDiff.key(t), t]));
+    const idMap  = new Map();   // new-plan id → id in the live queue
+    let   nextId = Math.max(0, ...current.map(t => t.id));
+
+    this.kept    = [];
+    this.added   = [];
+    this.removed = [];
+
+    for (const task of next) {
+      const live = byKey.get(PlanDiff.key(task));
+      if (live) {
+        idMap.set(task.id, live.id);
+        this.kept.push(live);
+        byKey.delete(PlanDiff.key(task));
+      } else {
+        idMap.set(task.id, ++nextId);
+        this.added.push(task);
+      }
+    }
+
+    // Renumber added tasks and point their dependencies at live ids
+    this.added = this.added.map(t => ({
+      ...t,
+      id:     idMap.get(t.id),
+      parent: t.parent ? idMap.get(t.parent) ?? null : null,
+      deps:   t.deps.map(d => idMap.get(d)).filter(Boolean)
+    }));
+
+    if (opts.replaces) {
+      const phases = new Set(next.map(t => t.phase ?? null));
+      this.removed = [...byKey.values()].filter(t => phases.has(t.phase ?? null) && !done.has(t.id));
+    }
+  }
+
+  isEmpty() {
+    return !this.added.length && !this.removed.length;
+  }
+
+  /** Phase + case-insensitive title. */
+  static key(task) {
+    return `${task.phase ?? ''}:${task.title.trim().toLowerCase()}`;
+  }
+}
+
+module.exports = PlanDiff;
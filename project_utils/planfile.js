@@ -0,0 +1,170 @@
+'use strict';
+/**
+ * planfile.js — Markdown plan parser.
+ *
+ * Turns a PLAN.md into typed tasks for the Scheduler, the Router and the
+ * agent briefs. Everything the plan says about a task is kept:
+ *
+ *   ## Phase 2: API                          ← phase of the tasks below it
+ *   - [ ] Build the API #backend (budget: 2h)
+ *     Acceptance: GET /users returns 200     ← acceptance criteria
+ *     Files: src/api.js, `src/routes/`       ← file hints
+ *     - [x] Define the schema                ← subtask; checked = already done
+ *     - [-] Seed fixtures                    ← cancelled ("[~]" and ~~struck out~~ too)
+ *   - [ ] Write API tests (depends on #1)
+ *     - Acceptance criteria:
+ *       - covers every route
+ *       - runs in CI
+ *
+ * Tasks are numbered #1, #2, … in order of appearance. A parent waits for the
+ * tasks nested under it; inline markers add dependencies, routing tags and a
+ * time budget (see PlanFile.markers). Cancelled tasks count as done, so
+ * nothing waits on them.
+ */
+
+const LABELS = {
+  acceptance:            'acceptance',
+  'acceptance criteria': 'acceptance',
+  'done when':           'acceptance',
+  file:                  'files',
+  files:                 'files'
+};
+
+const CHECKBOX = /^(\s*)[-*]\s*\[([ x~-])\]\s*(.+)/i;
+const HEADING  = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const PHASE    = /\bphase\s+0*(\d+)\b\s*[:.—–-]?\s*(.*)/i;
+const LABEL    = /^(\s*)(?:[-*]\s+)?[*_]*(acceptance criteria|acceptance|done when|files?)[*_]*\s*:[*_]*\s*(.*)$/i;
+const BULLET   = /^(\s*)(?:[-*]|\d+\.)\s+(.+)/;
+
+class PlanFile {
+  /**
+   * @param {string} planMd
+   * @param {object} opts  { phase } — phase for tasks that sit under no "Phase N" heading
+   * @returns {{phases: Array<{number:number,title:string}>, tasks: Task[]}}
+   *
+   * @typedef {object} Task
+   * @property {number}      id
+   * @property {string}      title
+   * @property {number|null} phase
+   * @property {number|null} parent      id of the enclosing task
+   * @property {boolean}     done        checked (or cancelled) in the plan
+   * @property {boolean}     cancelled   "[-]", "[~]" or struck out
+   * @property {number}      line        0-based line of the checkbox in PLAN.md
+   * @property {string[]}    acceptance  criteria the agent must meet
+   * @property {string[]}    files       files or directories the task is expected to touch
+   * @property {string[]}    tags
+   * @property {number[]}    deps
+   * @property {number|null} budget      minutes
+   */
+  static parse(planMd, opts = {}) {
+    const phases = [];
+    const tasks  = [];
+    const open   = [];     // enclosing checklist items: [{ indent, task }]
+    let   phase  = opts.phase ?? null;
+    let   list   = null;   // { task, key, indent } while reading "Acceptance criteria:" bullets
+
+    for (const [index, line] of planMd.split('\n').entries()) {
+      const indent = (line.match(/^\s*/)[0]).replace(/\t/g, '    ').length;
+
+      const heading = line.match(HEADING);
+      if (heading) {
+        const p = heading[2].match(PHASE);
+        if (p) {
+          phase = parseInt(p[1]);
+          phases.push({ number: phase, title: p[2].trim() });
+        }
+        open.length = 0;
+        list = null;
+        continue;
+      }
+
+      const box = line.match(CHECKBOX);
+      if (box) {
+        const { title, deps, tags, budget, files } = PlanFile.markers(box[3].trim());
+        const cancelled = '~-'.includes(box[2]) || /^~~.*~~/.test(box[3].trim());
+        while (open.length && open[open.length - 1].indent >= indent) open.pop();
+
+        const parent = open.length ? open[open.length - 1].task : null;
+        const task   = {
+          id: tasks.length + 1, title, phase,
+          parent: parent ? parent.id : null,
+          done: cancelled || box[2].toLowerCase() === 'x', cancelled,
+          acceptance: [], files, tags, deps, budget, line: index
+        };
+        if (parent) parent.deps.push(task.id);
+
+        open.push({ indent, task });
+        tasks.push(task);
+        list = null;
+        continue;
+      }
+
+      if (!line.trim() || !open.length) continue;
+      const owner = open[open.length - 1].task;
+
+      const label = line.match(LABEL);
+      if (label) {
+        const key  = LABELS[label[2].toLowerCase()];
+        const rest = label[3].trim();
+        if (rest) owner[key].push(...PlanFile._values(key, rest));
+        list = rest ? null : { task: owner, key, indent: label[1].length };
+        continue;
+      }
+
+      const bullet = line.match(BULLET);
+      if (bullet && list && indent > list.indent) {
+        list.task[list.key].push(...PlanFile._values(list.key, bullet[2].trim()));
+      } else {
+        list = null;
+      }
+    }
+    return { phases, tasks };
+  }
+
+  /**
+   * Inline markers in a task line:
+   *   "(depends on #3)", "after #1 and #2"  → deps
+   *   "#frontend", "#tests"                 → tags
+   *   "(budget: 45m)", "(budget: 2h)"       → budget in minutes
+   *   "(files: src/a.js, src/b.js)"         → files
+   * HTML comments (zeroclaw's done notes) and ~~strike-through~~ are not part of the title.
+   */
+  static markers(text) {
+    const deps   = [];
+    const tags   = [];
+    const files  = [];
+    let   budget = null;
+    const marker = /\(?\s*(?:depends on|requires|after|blocked by)\s*:?\s*(#\d+(?:\s*(?:,|and|&)\s*#\d+)*)\s*\)?/gi;
+
+    const title = text
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/~~/g, '')
+      .replace(/\(\s*files?\s*:\s*([^)]+)\)/gi, (_, list) => {
+        files.push(...PlanFile._values('files', list));
+        return '';
+      })
+      .replace(/\(?\s*budget\s*:?\s*(\d+(?:\.\d+)?)\s*(m|min|mins|h|hr|hrs)\b\s*\)?/gi, (_, n, unit) => {
+        budget = Math.round(parseFloat(n) * (unit.toLowerCase().startsWith('h') ? 60 : 1));
+        return '';
+      })
+      .replace(marker, (_, refs) => {
+        for (const ref of refs.match(/#\d+/g)) deps.push(parseInt(ref.slice(1)));
+        return '';
+      })
+      .replace(/(^|\s)#([a-z][\w-]*)/gi, (_, pre, tag) => {
+        tags.push(tag.toLowerCase());
+        return pre;
+      })
+      .replace(/\s{2,}/g, ' ').trim();
+
+    return { title: title || text, deps, tags, budget, files };
+  }
+
+  /** Criteria are kept whole; file hints are split on commas and unquoted. */
+  static _values(key, text) {
+    if (key !== 'files') return [text];
+    return text.split(',').map(f => f.trim().replace(/^`|`$/g, '')).filter(Boolean);
+  }
+}
+
+module.exports = PlanFile;
@@ -0,0 +1,115 @@
+'use strict';
+/**
+ * planlint.js — Checks a parsed plan before any task reaches an agent.
+ *
+ * Rules (each can be set to 'error', 'warning' or 'off' under "lint.rules"):
+ *
+ *   duplicate           two tasks with the same title                 error
+ *   vague               "improve stuff", "misc fixes", two-word titles warning
+ *   missing-acceptance  a leaf task with no acceptance criteria      warning
+ *   too-long            long title, big budget or too many subtasks  warning
+ *   same-files          unordered tasks share a file hint            warning
+ *   empty-phase         a "Phase N" heading with no tasks under it   warning
+ *
+ * Errors stop distribution unless the user overrides them (see Planner).
+ */
+
+const DEFAULTS = {
+  rules: {
+    'duplicate':          'error',
+    'vague':              'warning',
+    'missing-acceptance': 'warning',
+    'too-long':           'warning',
+    'same-files':         'warning',
+    'empty-phase':        'warning'
+  },
+  maxTitleWords:    25,
+  maxBudgetMinutes: 240,
+  maxSubtasks:      8,
+  minTitleWords:    3
+};
+
+const VAGUE = /\b(stuff|things|misc|miscellaneous|various|etc|tbd|todo|general)\b/i;
+
+class PlanLinter {
+  /**
+   * @param {object} opts  overrides for DEFAULTS (config key "lint"); rules are merged one by one
+   */
+  constructor(opts = {}) {
+    this.opts = { ...DEFAULTS, ...opts, rules: { ...DEFAULTS.rules, ...(opts.rules || {}) } };
+  }
+
+  /**
+   * @param {Plan} plan
+   * @returns {Array<{rule:string, level:'error'|'warning', task:number|null, message:string}>}
+   */
+  lint(plan) {
+    const findings = [];
+    const report   = (rule, task, message) => {
+      const level = this.opts.rules[rule];
+      if (level && level !== 'off') findings.push({ rule, level, task, message });
+    };
+
+    const tasks    = plan.tasks || [];
+    const children = id => tasks.filter(t => t.parent === id);
+    const seen     = new Map();
+
+    for (const t of tasks) {
+      if (t.done) continue;
+      const norm  = t.title.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+      const words = norm.split(' ').filter(Boolean).length;
+
+      if (seen.has(norm)) report('duplicate', t.id, `same as #${seen.get(norm)} "${t.title}"`);
+      else seen.set(norm, t.id);
+
+      if (words < this.opts.minTitleWords || VAGUE.test(t.title)) {
+        report('vague', t.id, `"${t.title}" does not say what done looks like`);
+      }
+      if (!children(t.id).length && !t.acceptance?.length) {
+        report('missing-acceptance', t.id, 'no acceptance criteria');
+      }
+      if (words > this.opts.maxTitleWords) {
+        report('too-long', t.id, `${words}-word title — split it into smaller tasks`);
+      }
+      if (t.budget > this.opts.maxBudgetMinutes) {
+        report('too-long', t.id, `budget ${t.budget}m is over ${this.opts.maxBudgetMinutes}m — split it`);
+      }
+      if (children(t.id).length > this.opts.maxSubtasks) {
+        report('too-long', t.id, `${children(t.id).length} subtasks — make it its own phase`);
+      }
+    }
+
+    this._sameFiles(tasks, report);
+
+    for (const phase of plan.phases || []) {
+      if (!tasks.some(t => t.phase === phase.number)) {
+        report('empty-phase', null, `Phase ${phase.number}${phase.title ? ` (${phase.title})` : ''} has no tasks`);
+      }
+    }
+    return findings.sort((a, b) => (a.task ?? Infinity) - (b.task ?? Infinity));
+  }
+
+  /** Tasks that may run at the same time must not touch the same files. */
+  _sameFiles(tasks, report) {
+    const byId    = new Map(tasks.map(t => [t.id, t]));
+    const reaches = (from, to, seen = new Set()) => {
+      if (from === to) return true;
+      if (seen.has(from)) return false;
+      seen.add(from);
+      return (byId.get(from)?.deps || []).some(d => reaches(d, to, seen));
+    };
+
+    const open = tasks.filter(t => !t.done && t.files?.length);
+    for (let i = 0; i < open.length; i++) {
+      for (const other of open.slice(i + 1)) {
+        const a      = open[i];
+        const shared = a.files.filter(f => other.files.includes(f));
+        if (!shared.length || reaches(a.id, other.id) || reaches(other.id, a.id)) continue;
+        report('same-files', other.id, `touches ${shared.join(', ')} like #${a.id} — add "(depends on #${a.id})" or merge them`);
+      }
+    }
+  }
+}
+
+PlanLinter.DEFAULTS = DEFAULTS;
+module.exports      = PlanLinter;
@@ -11,31 +11,41 @@
  *   /gsd:quick          — ad-hoc tasks without full planning overhead
  *   /gsd:resume-work    — restore context from previous session
  *
+ * GSD is one planning provider (providers.js); when it is missing or fails,
+ * the built-in native provider drafts the plan instead.
+ *
  * Where it fits in the architecture:
  *   "planning phase" node in the diagram — runs AFTER intent is identified
  *   as either project_init or new_task, BEFORE task distribution.
  *
  * The planner outputs a Plan object that the Distributor turns into
- * agent assignments.
+ * agent assignments:
+ *   { type, phase, phases, tasks, files }  — tasks as parsed by PlanFile
  */
 
-const path    = require('path');
-const fs      = require('fs-extra');
-const execa   = require('execa');
-const chalk   = require('chalk');
-const ora     = require('ora');
-const { log } = require('./ui');
+const path     = require('path');
+const fs       = require('fs-extra');
+const chalk    = require('chalk');
+const PlanFile = require('./planfile');
+const Phases   = require('./phases');
+const Config   = require('./config');
+const Linter   = require('./planlint');
+const Events   = require('./events');
+const { createProviders } = require('./providers');
+const { log }  = require('./ui');
 
 class Planner {
   constructor(workspace, session) {
     this.workspace = workspace;
     this.session   = session;
     this.planDir   = path.join(workspace, '.planning');
+    this.providers = [];
   }
 
   /**
    * Run the planning phase.
-   * @param {object} context  { raw: string, intent: string }
+   * @param {object} context  { raw, intent, entities?, ask?, force? } — ask(question) reads an answer from the user;
+   *                          entities as found by the intent classifier (see intents.js)
    * @returns {Plan|null}     structured plan ready for distribution
    */
   async run(context) {
@@ -43,94 +53,140 @@ class Planner {
 
     log.section('Planning Phase', isNewProject ? 'New project' : 'New task/feature');
 
-    // Ensure GSD is installed; install if missing
-    await this._ensureGSD();
+    // Planning backends to try in order (config "planner.provider"); one that
+    // cannot run here (no runtime, GSD not installed) is skipped
+    const config = await Config.load(this.workspace);
+    const ready  = [];
+    try {
+      for (const provider of createProviders(this.workspace, this._options(config))) {
+        if (await provider.prepare(context)) ready.push(provider);
+      }
+    } catch (err) {
+      log.error(err.message);
+      return null;
+    }
+    this.providers = ready;
+    if (!this.providers.length) {
+      log.error('No planning provider is available — see the warnings above, or set planner.provider to "native".');
+      return null;
+    }
 
-    if (isNewProject) {
-      return await this._runNewProject(context);
-    } else {
-      return await this._runNewTask(context);
+    const plan = isNewProject
+      ? await this._runNewProject(context)
+      : await this._runNewTask(context);
+
+    // Vet the tasks before any agent sees them
+    if (plan && !await this._lint(plan, context, config)) return null;
+    if (plan) {
+      Events.for(this.workspace).publish('plan.produced', {
+        plan: plan.type || null, phase: plan.phase ?? null, tasks: plan.tasks.length, source: plan.source || null
+      });
     }
+    return plan;
   }
 
-  /* ── GSD workflows ──────────────────────────────────────────────── */
+  /** "planner" config with the session's --planning-runtime / --install-gsd on top. */
+  _options(config) {
+    const gsd = {
+      ...(this.session?.planningRuntime ? { runtime: this.session.planningRuntime } : {}),
+      ...(this.session?.installGsd      ? { install: 'always' }                     : {})
+    };
+    return Config.merge(config.get('planner', {}), { gsd });
+  }
 
-  async _runNewProject(context) {
-    log.info('Launching GSD new-project workflow...');
-    log.info(chalk.gray('GSD will extract your spec, define requirements, and build a roadmap.'));
-    log.info(chalk.gray('After GSD finishes, zeroclaw will distribute phases to agents.\n'));
+  /**
+   * Report plan lint findings. Errors block distribution unless the request
+   * carries the --force switch or the user chooses to go ahead anyway.
+   * @returns {Promise<boolean>}  true to distribute
+   */
+  async _lint(plan, context, config) {
+    const findings = new Linter(config.get('lint', {})).lint(plan);
+    if (!findings.length) {
+      log.done(`Plan lint: ${plan.tasks.length} task(s), no issues.`);
+      return true;
+    }
 
-    // GSD new-project runs interactively inside the primary pane.
-    // We launch it in-process so the user sees the conversation.
-    await this._gsdCommand('new-project', ['--auto']);
+    const errors = findings.filter(f => f.level === 'error');
+    log.info(`Plan lint: ${errors.length} error(s), ${findings.length - errors.length} warning(s)`);
+    for (const f of findings) {
+      (f.level === 'error' ? log.error : log.warn)(`${f.task ? `#${f.task} ` : ''}${chalk.gray(f.rule)}  ${f.message}`);
+    }
+    if (!errors.length) return true;
 
-    // After /gsd:new-project completes, read the generated plan artifacts
-    return await this._readGSDPlan();
+    if (context.force) {
+      log.warn('Distributing despite plan errors (--force).');
+      return true;
+    }
+    if (context.ask) {
+      const answer = (await context.ask(chalk.yellow('Plan has errors — distribute anyway? [y]es / [n]o › '))).trim().toLowerCase();
+      if (/^y(es)?$/.test(answer)) return true;
+    }
+    log.error('Distribution blocked — fix PLAN.md and ask again, or add --force to your request.');
+    return false;
+  }
+
+  /* ── Workflows ──────────────────────────────────────────────────── */
+
+  async _runNewProject(context) {
+    // Read the generated plan artifacts once the provider has written them
+    return this._plan(p => p.newProject(context), () => this._readGSDPlan());
   }
 
   async _runNewTask(context) {
-    // Determine which phase to work on (default: next unstarted phase)
-    const phase = await this._nextPhase();
+    // Work on the phase the user named ("new task for phase 3"), else the next unfinished one
+    const phases = await new Phases(this.workspace).phases();
+    const asked  = context.entities?.phase ?? (context.raw || '').match(/\bphase\s+0*(\d+)\b/i)?.[1];
+    const phase  = asked != null ? parseInt(asked) : await this._nextPhase(phases);
+    if (phases?.length) this._printPhases(phases);
 
     if (phase === null) {
-      // No existing roadmap — run a quick task
-      log.info('No existing roadmap found — running GSD quick mode for this task.');
-      await this._gsdCommand('quick', [], context.raw);
-      return await this._readQuickPlan();
+      // No existing roadmap (or every phase is finished) — run a quick task
+      log.info(phases
+        ? 'Every roadmap phase is finished — planning this as a quick task.'
+        : 'No existing roadmap found — planning this as a quick task.');
+      return this._plan(p => p.quick(context), () => this._readQuickPlan());
     }
 
-    log.info(`Running GSD discuss+plan pipeline for phase ${phase}...`);
-    await this._gsdCommand('discuss-phase', [String(phase)]);
-    await this._gsdCommand('plan-phase',    [String(phase)]);
+    const current = phases?.find(p => p.number === phase);
+    if (asked != null && phases?.length && !current) log.warn(`Phase ${phase} is not in ROADMAP.md — planning it anyway.`);
+    if (current?.status === Phases.STATUS.VERIFIED) log.warn(`Phase ${phase} is already verified — planning it again.`);
+
+    // Re-planning would overwrite PLAN.md and lose its progress: the phase's open
+    // tasks go out again when it was named, anything else is new work on the side
+    if (current?.status === Phases.STATUS.IN_PROGRESS) {
+      const progress = `Phase ${phase} is in progress (${current.done}/${current.tasks} tasks done)`;
+      if (asked == null) {
+        log.info(`${progress} — planning this request as a quick task.`);
+        return this._plan(p => p.quick(context), () => this._readQuickPlan());
+      }
+      log.info(`${progress} — distributing its open tasks.`);
+      const request = (context.entities?.description || context.raw || '')
+        .replace(/\b(?:new\s+)?(?:task|feature|work)?\s*(?:for|on|in)?\s*phase\s+0*\d+\b/i, '')
+        .replace(/^[\s:—–-]+|[\s:—–-]+$/g, '');
+      if (request) log.warn(`"${request}" was not planned — ask again without naming the phase to plan it as a quick task.`);
+      return await this._readGSDPlan(phase);
+    }
 
-    return await this._readGSDPlan(phase);
+    return this._plan(p => p.planPhase(phase, context), () => this._readGSDPlan(phase));
   }
 
-  /* ── GSD command runner ─────────────────────────────────────────── */
-
   /**
-   * Execute a GSD slash command via the configured runtime.
-   * GSD supports Claude Code, OpenCode, Gemini CLI, and Codex.
-   * Here we use 'opencode' as the primary runtime (configurable).
+   * Run one planning step with each provider in turn until one leaves a plan
+   * with tasks behind (e.g. GSD fails or is missing → native planner).
+   * @param {(provider) => Promise<boolean>} step
+   * @param {() => Promise<Plan|null>}       read
    */
-  async _gsdCommand(cmd, args = [], stdinText = null) {
-    const runtime = await this._detectRuntime();
-    const gsdCmd  = `/${cmd === 'new-project' ? 'gsd:new-project' : `gsd:${cmd}`}`;
-    const spinner = ora(`GSD ${gsdCmd}`).start();
-
-    try {
-      let proc;
-      if (runtime === 'claude') {
-        // Claude Code: commands run inside the claude session
-        proc = execa('claude', ['--dangerously-skip-permissions', gsdCmd, ...args], {
-          cwd:   this.workspace,
-          stdio: 'inherit'
-        });
-      } else if (runtime === 'opencode') {
-        proc = execa('opencode', ['run', gsdCmd, ...args], {
-          cwd:   this.workspace,
-          stdio: 'inherit',
-          ...(stdinText ? { input: stdinText } : {})
-        });
-      } else if (runtime === 'gemini') {
-        proc = execa('gemini', [gsdCmd, ...args], {
-          cwd:   this.workspace,
-          stdio: 'inherit'
-        });
-      } else {
-        // Codex fallback
-        proc = execa('codex', [gsdCmd, ...args], {
-          cwd:   this.workspace,
-          stdio: 'inherit'
-        });
-      }
-      await proc;
-      spinner.succeed(`GSD ${gsdCmd} complete`);
-    } catch (err) {
-      spinner.fail(`GSD ${gsdCmd} failed`);
-      log.warn(`GSD command error: ${err.message}`);
-      log.warn('Continuing without GSD output — agents will plan independently.');
+  async _plan(step, read) {
+    for (const [i, provider] of this.providers.entries()) {
+      const ok   = await step(provider);
+      const plan = ok ? await read() : null;
+      if (plan) return plan;
+
+      const next = this.providers[i + 1];
+      log.warn(`The ${provider.name} planner ${ok ? 'produced no tasks' : 'failed'}` +
+        (next ? ` — falling back to the ${next.name} planner.` : '.'));
     }
+    return null;
   }
 
   /* ── Plan readers ───────────────────────────────────────────────── */
@@ -143,6 +199,7 @@ class Planner {
     const plan = {
       type:     phase ? 'phase' : 'project',
       phase,
+      phases:   [],
       tasks:    [],
       files:    {}
     };
@@ -155,9 +212,16 @@ class Planner {
       }
     }
 
-    // Extract task lines from PLAN.md for agent assignment
+    // Parse PLAN.md into tasks (phase, subtasks, acceptance criteria, file hints)
     if (plan.files['PLAN.md']) {
-      plan.tasks = this._extractTasks(plan.files['PLAN.md']);
+      Object.assign(plan, PlanFile.parse(plan.files['PLAN.md'], { phase }));
+      this._setSource(plan, path.join(base, 'PLAN.md'));
+    }
+
+    // Tasks agents already reported done count as done even if PLAN.md is not ticked yet
+    if (phase && plan.tasks.length) {
+      const reported = await new Phases(this.workspace).completed(phase, plan.tasks);
+      plan.tasks.forEach(t => { if (reported.has(t.id)) t.done = true; });
     }
 
     return plan.tasks.length ? plan : null;
@@ -176,70 +240,43 @@ class Planner {
     if (!await fs.pathExists(planFile)) return null;
 
     const content = await fs.readFile(planFile, 'utf8');
-    return {
+    return this._setSource({
       type:  'quick',
       phase: null,
-      tasks: this._extractTasks(content),
+      ...PlanFile.parse(content),
       files: { 'PLAN.md': content }
-    };
+    }, planFile);
   }
 
-  _extractTasks(planMd) {
-    // Pull checkbox-style tasks:  - [ ] Do X
-    const tasks = [];
-    for (const line of planMd.split('\n')) {
-      const m = line.match(/[-*]\s*\[[ x]\]\s*(.+)/i);
-      if (m) tasks.push(m[1].trim());
-    }
-    return tasks;
+  /** Remember which PLAN.md each task came from, so plansync.js can tick it off there. */
+  _setSource(plan, file) {
+    plan.source = path.relative(this.workspace, file);
+    plan.tasks.forEach(t => { t.source = plan.source; });
+    return plan;
   }
 
-  async _nextPhase() {
-    const roadmap = path.join(this.planDir, 'ROADMAP.md');
-    if (!await fs.pathExists(roadmap)) return null;
-
-    const content = await fs.readFile(roadmap, 'utf8');
-    // Find first unchecked phase: ## Phase N or - [ ] Phase N
-    const m = content.match(/Phase\s+(\d+)/i);
-    return m ? parseInt(m[1]) : 1;
+  /**
+   * First ROADMAP.md phase that is neither verified nor finished (see phases.js);
+   * null when there is no roadmap or nothing is left.
+   */
+  async _nextPhase(phases) {
+    if (phases === undefined) phases = await new Phases(this.workspace).phases();
+    return Phases.pick(phases);
   }
 
-  /* ── Setup ──────────────────────────────────────────────────────── */
-
-  async _ensureGSD() {
-    // Check if GSD is installed by looking for its commands
-    const runtime = await this._detectRuntime();
-    const configDirs = {
-      claude:   process.env.HOME + '/.claude/commands',
-      opencode: process.env.HOME + '/.config/opencode/commands',
-      gemini:   process.env.HOME + '/.gemini/commands',
-      codex:    process.env.HOME + '/.codex/skills/gsd-new-project'
+  _printPhases(phases) {
+    const colour = {
+      [Phases.STATUS.VERIFIED]:    chalk.green,
+      [Phases.STATUS.IN_PROGRESS]: chalk.yellow,
+      [Phases.STATUS.PLANNED]:     chalk.cyan,
+      [Phases.STATUS.NOT_STARTED]: chalk.gray
     };
-
-    const dir = configDirs[runtime];
-    if (dir && await fs.pathExists(dir)) return;  // Already installed
-
-    log.warn(`GSD not found for runtime "${runtime}". Installing now...`);
-    const flags = { claude: '--claude', opencode: '--opencode', gemini: '--gemini', codex: '--codex' };
-    try {
-      await execa('npx', ['get-shit-done-cc@latest', flags[runtime] || '--opencode', '--global'], {
-        cwd: this.workspace, stdio: 'inherit'
-      });
-      log.done('GSD installed.');
-    } catch (err) {
-      log.warn(`GSD auto-install failed: ${err.message}. Install manually: npx get-shit-done-cc@latest`);
-    }
-  }
-
-  async _detectRuntime() {
-    // Prefer the runtime the user has available, in priority order
-    for (const rt of ['opencode', 'claude', 'gemini', 'codex']) {
-      try {
-        await execa(rt, ['--version'], { stdio: 'pipe' });
-        return rt;
-      } catch { /* not found */ }
+    log.info('Roadmap:');
+    for (const p of phases) {
+      const waiting  = p.status === Phases.STATUS.IN_PROGRESS && p.done === p.tasks ? ', awaiting /gsd:verify-work' : '';
+      const progress = p.tasks ? chalk.gray(` (${p.done}/${p.tasks} tasks${waiting})`) : '';
+      log.info(`  Phase ${p.number}${p.title ? ` — ${p.title}` : ''}: ${colour[p.status](p.status)}${progress}`);
     }
-    return 'claude';  // Default fallback
   }
 }
 
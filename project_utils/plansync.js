@@ -0,0 +1,196 @@
+'use strict';
+/**
+ * plansync.js — Keeps implement.md and PLAN.md in step with the live queue.
+ *
+ * Supervisor → files: when a task is reported done its line is ticked in
+ * .planning/implement.md and in the PLAN.md it came from, noting the agent,
+ * its branch and the last commit:
+ *
+ *   - [x] #3 Build the API — claude · feature/claude/build-the-api · a1b2c3d
+ *   - [x] Build the API #backend <!-- zeroclaw: claude · feature/claude/build-the-api · a1b2c3d -->
+ *
+ * Files → supervisor: checkbox edits the user makes to either file while the
+ * session runs are read back as
+ *
+ *   - [x] …                            done — tasks waiting on it are released
+ *   - [-] … / - [~] … / - [ ] ~~…~~    cancelled — taken out of the queue
+ *
+ * implement.md is rewritten for every distribution, so its #ids are always the
+ * queue's. Only boxes that change count; unticking or deleting a line changes
+ * nothing — re-plan to drop tasks for good.
+ */
+
+const path     = require('path');
+const fs       = require('fs-extra');
+const chokidar = require('chokidar');
+const PlanFile = require('./planfile');
+const PlanDiff = require('./plandiff');
+const Git      = require('./git');
+const { log }  = require('./ui');
+
+const CHECKBOX = /^(\s*[-*]\s*)\[([ x~-])\](\s*)(.*)$/i;
+const BOX      = { done: 'x', cancelled: '-' };
+
+class PlanSync {
+  /**
+   * @param {Distributor} distributor  completeTask / cancelTask receive the user's edits
+   */
+  constructor(distributor) {
+    this.distributor = distributor;
+    this.workspace   = distributor.workspace;
+    this.implFile    = path.join(this.workspace, '.planning', 'implement.md');
+    this.known       = new Map();   // file → Map(task id → 'open' | 'done' | 'cancelled') as last read
+    this.watcher     = null;
+    this.chain       = Promise.resolve();
+  }
+
+  /** Watch implement.md and the PLAN.md files of the plan's tasks. */
+  async start(plan) {
+    this.watcher = chokidar.watch([], { ignoreInitial: true, persistent: true });
+    this.watcher.on('change', async file => {
+      // Acting on an edit ticks the other file, so it runs outside the serial chain
+      for (const { id, state } of await this._serial(() => this._changed(file)) || []) {
+        if (state === 'done') await this.distributor.completeTask(id);
+        else                  await this.distributor.cancelTask(id);
+      }
+    });
+    await this.track(plan);
+  }
+
+  /** Also watch the sources of a plan folded in by re-planning. */
+  async track(plan) {
+    const files = [this.implFile, ...new Set(plan.tasks.filter(t => t.source).map(t => this._abs(t.source)))];
+    for (const file of files.filter(f => !this.known.has(f))) {
+      this.known.set(file, await this._marks(file));
+      this.watcher.add(file);
+    }
+  }
+
+  async stop() {
+    if (this.watcher) await this.watcher.close();
+    this.watcher = null;
+  }
+
+  /**
+   * Tick a task off (or strike it out) in implement.md and its PLAN.md.
+   * @param {Task}   task
+   * @param {'done'|'cancelled'} state
+   * @param {string} agent  who finished it; its branch and last commit go in the note
+   */
+  async mark(task, state, agent = null) {
+    const note = state === 'done' ? await this._note(agent) : 'cancelled';
+    return this._serial(async () => {
+      await this._edit(this.implFile, lines => {
+        const i = lines.findIndex(l => this._implId(l) === task.id);
+        return this._tick(lines, i, state, note && ` — ${note}`);
+      });
+      if (task.source) {
+        const file = this._abs(task.source);
+        await this._edit(file, lines => {
+          const found = PlanFile.parse(lines.join('\n'), { phase: this._phase(file) }).tasks
+            .find(t => PlanDiff.key(t) === PlanDiff.key(task));
+          return this._tick(lines, found ? found.line : -1, state, note && ` <!-- zeroclaw: ${note} -->`);
+        });
+      }
+    });
+  }
+
+  /* ── Reading edits back ─────────────────────────────────────────── */
+
+  /** @returns {Promise<Array<{id:number, state:'done'|'cancelled'}>>}  boxes the user closed since the last read */
+  async _changed(file) {
+    const before = this.known.get(file) || new Map();
+    const after  = await this._marks(file);
+    this.known.set(file, after);
+
+    const scheduler = this.distributor.queue.scheduler;
+    const edits     = [];
+    for (const [id, state] of after) {
+      if (state === 'open' || before.get(id) === state) continue;
+      if (!scheduler.tasks.has(id) || scheduler.done.has(id)) continue;
+      log.info(`  ${path.relative(this.workspace, file)}: #${id} ${scheduler.tasks.get(id).title} marked ${state}`);
+      edits.push({ id, state });
+    }
+    return edits;
+  }
+
+  /** Box state of every live task a file mentions. */
+  async _marks(file) {
+    const marks = new Map();
+    if (!await fs.pathExists(file)) return marks;
+    const content = await fs.readFile(file, 'utf8');
+
+    if (file === this.implFile) {
+      for (const line of content.split('\n')) {
+        const id = this._implId(line);
+        if (id) marks.set(id, this._state(line));
+      }
+      return marks;
+    }
+
+    // PLAN.md ids are positional, so match its tasks to the live ones by phase + title
+    const live = new Map([...this.distributor.queue.scheduler.tasks.values()]
+      .filter(t => t.source && this._abs(t.source) === file)
+      .map(t => [PlanDiff.key(t), t.id]));
+    for (const t of PlanFile.parse(content, { phase: this._phase(file) }).tasks) {
+      const id = live.get(PlanDiff.key(t));
+      if (id) marks.set(id, t.cancelled ? 'cancelled' : t.done ? 'done' : 'open');
+    }
+    return marks;
+  }
+
+  _state(line) {
+    const [, , box, , rest] = line.match(CHECKBOX);
+    if ('~-'.includes(box) || rest.startsWith('~~')) return 'cancelled';
+    return box.toLowerCase() === 'x' ? 'done' : 'open';
+  }
+
+  /** "- [ ] #3 Build the API" → 3 */
+  _implId(line) {
+    const box = line.match(CHECKBOX);
+    const id  = box && box[4].match(/^(?:~~)?#(\d+)\b/);
+    return id ? parseInt(id[1]) : null;
+  }
+
+  /* ── Writing ────────────────────────────────────────────────────── */
+
+  /** Set an open box to `state` and append the note; lines already closed are left alone. */
+  _tick(lines, i, state, note) {
+    if (i < 0 || this._state(lines[i]) !== 'open') return false;
+    lines[i] = lines[i].replace(CHECKBOX, `$1[${BOX[state]}]$3$4`) + (note || '');
+    return true;
+  }
+
+  async _edit(file, change) {
+    if (!await fs.pathExists(file)) return;
+    const lines = (await fs.readFile(file, 'utf8')).split('\n');
+    if (!change(lines)) return;
+    await fs.writeFile(file, lines.join('\n'));
+    this.known.set(file, await this._marks(file));   // our own write is not a user edit
+  }
+
+  async _note(agent) {
+    if (!agent) return 'by hand';
+    const worktree = this.distributor.worktrees[agent];
+    const commit   = worktree ? await new Git(worktree.path).lastCommit() : null;
+    return [agent, worktree?.branch, commit && commit.split(' ')[0]].filter(Boolean).join(' · ');
+  }
+
+  /** Edits and ticks touch the same files; run them one at a time. */
+  _serial(step) {
+    this.chain = this.chain.then(step).catch(err => log.warn(`Plan sync: ${err.message}`));
+    return this.chain;
+  }
+
+  _abs(file) {
+    return path.resolve(this.workspace, file);
+  }
+
+  /** Default phase for tasks under no heading — the same one the Planner parsed with. */
+  _phase(file) {
+    const m = file.match(/phase-0*(\d+)[\\/]PLAN\.md$/);
+    return m ? parseInt(m[1]) : null;
+  }
+}
+
+module.exports = PlanSync;
@@ -0,0 +1,281 @@
+'use strict';
+/**
+ * providers.js — Planning backends.
+ *
+ * The Planner decides *what* to plan (new project, a roadmap phase, a quick
+ * task); a provider does the planning and leaves its artifacts in .planning/,
+ * where the Planner reads them back:
+ *
+ *   gsd     get-shit-done slash commands run through an agent CLI
+ *           (/gsd:new-project, /gsd:discuss-phase + /gsd:plan-phase, /gsd:quick)
+ *   native  built in — asks an OpenAI-compatible chat endpoint for a
+ *           PLAN.md + REQUIREMENTS.md; without an endpoint (or when the call
+ *           fails) it writes a one-task skeleton so there is always a plan
+ *
+ * Config key "planner":  { provider: 'auto' | 'gsd' | 'native', gsd: {...}, native: {...} }
+ * 'auto' (default) tries GSD first and falls back to native.
+ *
+ * Both expose the same surface:
+ *   prepare(context)           check prerequisites; false = provider unavailable
+ *   newProject(context)        → .planning/{PLAN,REQUIREMENTS,ROADMAP}.md
+ *   planPhase(phase, context)  → .planning/phase-XX/PLAN.md
+ *   quick(context)             → .planning/quick/NNN-slug/PLAN.md
+ * Each step resolves to true when it ran to completion.
+ */
+
+const path     = require('path');
+const fs       = require('fs-extra');
+const execa    = require('execa');
+const chalk    = require('chalk');
+const ora      = require('ora');
+const PlanFile = require('./planfile');
+const Runtimes = require('./runtimes');
+const { log }  = require('./ui');
+
+/* ── GSD ──────────────────────────────────────────────────────────── */
+
+const GSD_DEFAULTS = {
+  runtime: 'auto',    // planning runtime (runtimes.js); 'auto' = first one installed
+  install: 'never'    // when GSD is missing: 'never' (say how) | 'ask' | 'always' install it
+};
+
+class GsdProvider {
+  constructor(workspace, opts = {}) {
+    this.name      = 'gsd';
+    this.workspace = workspace;
+    this.opts      = { ...GSD_DEFAULTS, ...opts };
+    this.runtimes  = null;
+    this.runtime   = null;
+  }
+
+  /** Pick the planning runtime and make sure GSD is installed for it; false = GSD unavailable. */
+  async prepare(context = {}) {
+    this.runtimes = await Runtimes.load(this.workspace);
+    this.runtime  = await this.runtimes.pick(this.opts.runtime);
+    if (!this.runtime) {
+      log.warn(this.opts.runtime === 'auto'
+        ? `No planning runtime found (${this.runtimes.names().join(', ')}) — GSD is unavailable.`
+        : `Planning runtime "${this.opts.runtime}" is not installed — GSD is unavailable.`);
+      return false;
+    }
+    return this._ensureGSD(context);
+  }
+
+  async newProject() {
+    log.info('Launching GSD new-project workflow...');
+    log.info(chalk.gray('GSD will extract your spec, define requirements, and build a roadmap.'));
+    log.info(chalk.gray('After GSD finishes, zeroclaw will distribute phases to agents.\n'));
+    // GSD new-project runs interactively inside the primary pane.
+    // We launch it in-process so the user sees the conversation.
+    return this._gsdCommand('new-project', ['--auto']);
+  }
+
+  async planPhase(phase) {
+    log.info(`Running GSD discuss+plan pipeline for phase ${phase}...`);
+    return await this._gsdCommand('discuss-phase', [String(phase)]) &&
+           await this._gsdCommand('plan-phase',    [String(phase)]);
+  }
+
+  async quick(context) {
+    return this._gsdCommand('quick', [], context.raw);
+  }
+
+  /**
+   * Execute a GSD slash command through the planning runtime's invocation
+   * template (runtimes.js). `text` goes in on stdin or as a last argument,
+   * whichever the runtime takes.
+   */
+  async _gsdCommand(cmd, args = [], text = null) {
+    const gsdCmd  = `/gsd:${cmd}`;
+    const byStdin = this.runtimes.get(this.runtime).input === 'stdin';
+    const [bin, ...argv] = this.runtimes.argv(this.runtime, gsdCmd, text && !byStdin ? [...args, text] : args);
+    const spinner = ora(`GSD ${gsdCmd} (${this.runtime})`).start();
+
+    try {
+      await execa(bin, argv, {
+        cwd:   this.workspace,
+        stdio: 'inherit',
+        ...(text && byStdin ? { input: text } : {})
+      });
+      spinner.succeed(`GSD ${gsdCmd} complete`);
+      return true;
+    } catch (err) {
+      spinner.fail(`GSD ${gsdCmd} failed`);
+      log.warn(`GSD command error: ${err.message}`);
+      return false;
+    }
+  }
+
+  /** GSD is only installed when "planner.gsd.install" allows it. */
+  async _ensureGSD(context) {
+    if (await this.runtimes.gsdInstalled(this.runtime)) return true;
+
+    const manual = `npx get-shit-done-cc@latest ${this.runtimes.get(this.runtime).gsdFlag} --global`;
+    let   install = this.opts.install === 'always';
+    if (this.opts.install === 'ask' && context.ask) {
+      const answer = (await context.ask(chalk.yellow(`GSD is not installed for ${this.runtime}. Install it now? [y]es / [n]o › `))).trim().toLowerCase();
+      install = /^y(es)?$/.test(answer);
+    }
+    if (!install) {
+      log.warn(`GSD is not installed for ${this.runtime}. Install it with ${chalk.cyan(manual)} or ${chalk.cyan('npm run setup')}` +
+        (this.opts.install === 'never' ? ', or set planner.gsd.install to "ask" or "always".' : '.'));
+      return false;
+    }
+
+    log.info(`Installing GSD for ${this.runtime}...`);
+    try {
+      await this.runtimes.installGsd(this.runtime, { cwd: this.workspace });
+      log.done('GSD installed.');
+      return true;
+    } catch (err) {
+      log.warn(`GSD install failed: ${err.message}. Install manually: ${manual}`);
+      return false;
+    }
+  }
+}
+
+/* ── Native ───────────────────────────────────────────────────────── */
+
+const NATIVE_DEFAULTS = {
+  baseUrl:        null,              // e.g. http://localhost:11434/v1 (Ollama), https://api.openai.com/v1
+  model:          'gpt-4o-mini',
+  apiKeyEnv:      'OPENAI_API_KEY',  // env var holding the bearer token, if the endpoint needs one
+  timeoutSeconds: 120
+};
+
+const SYSTEM_PROMPT = `You are the planner of a multi-agent coding system. Turn the user's request into two Markdown files.
+
+Answer with exactly these two sections and nothing else:
+=== REQUIREMENTS.md ===
+(what must be true when the work is done, as a bulleted list)
+=== PLAN.md ===
+(a checklist of small tasks, one "- [ ] <task>" per line, each doable by one agent in under two hours.
+Under each task add an indented "Acceptance: <criterion>" line and, if known, a "Files: <paths>" line.
+Write "(depends on #N)" after a task that needs task N first; tasks are numbered from 1 in order.
+Add routing tags such as #frontend #backend #tests #docs #refactor where they fit.)`;
+
+class NativeProvider {
+  constructor(workspace, opts = {}) {
+    this.name      = 'native';
+    this.workspace = workspace;
+    this.planDir   = path.join(workspace, '.planning');
+    this.opts      = { ...NATIVE_DEFAULTS, ...opts };
+  }
+
+  async prepare() {
+    return true;   // nothing to install
+  }
+
+  async newProject(context) {
+    return this._write(this.planDir, await this._generate(context.raw));
+  }
+
+  async planPhase(phase, context) {
+    const roadmap = path.join(this.planDir, 'ROADMAP.md');
+    const scope   = await fs.pathExists(roadmap)
+      ? `Plan only phase ${phase} of this roadmap:\n\n${await fs.readFile(roadmap, 'utf8')}\n\nUser request: ${context.raw}`
+      : context.raw;
+    return this._write(path.join(this.planDir, `phase-${String(phase).padStart(2, '0')}`), await this._generate(scope, context.raw));
+  }
+
+  async quick(context) {
+    const quickDir = path.join(this.planDir, 'quick');
+    await fs.ensureDir(quickDir);
+    const number = String((await fs.readdir(quickDir)).length + 1).padStart(3, '0');
+    const slug   = context.raw.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    return this._write(path.join(quickDir, `${number}-${slug || 'task'}`), await this._generate(context.raw));
+  }
+
+  /**
+   * Ask the endpoint for REQUIREMENTS.md + PLAN.md. Falls back to a skeleton
+   * when no endpoint is configured, the call fails or the answer has no tasks.
+   * @param {string} prompt   what to plan
+   * @param {string} request  the user's words, for the skeleton
+   */
+  async _generate(prompt, request = prompt) {
+    if (!this.opts.baseUrl) {
+      log.info('No planner.native.baseUrl configured — writing a skeleton plan.');
+      return this._skeleton(request);
+    }
+
+    const spinner = ora(`Planning with ${this.opts.model} at ${this.opts.baseUrl}`).start();
+    try {
+      const content = await this._complete(prompt);
+      const files   = this._split(content);
+      if (!PlanFile.parse(files.plan).tasks.length) throw new Error('the answer contained no "- [ ]" tasks');
+      spinner.succeed(`Plan drafted by ${this.opts.model}`);
+      return files;
+    } catch (err) {
+      spinner.fail('Native planning failed');
+      log.warn(`${err.message} — writing a skeleton plan instead.`);
+      return this._skeleton(request);
+    }
+  }
+
+  async _complete(prompt) {
+    const apiKey = process.env[this.opts.apiKeyEnv];
+    const res    = await fetch(`${this.opts.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+      body:    JSON.stringify({
+        model:    this.opts.model,
+        messages: [{ role: 'system', content: SYSTEM_PROMPT }, { role: 'user', content: prompt }]
+      }),
+      signal:  AbortSignal.timeout(this.opts.timeoutSeconds * 1000)
+    });
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText} from ${this.opts.baseUrl}`);
+
+    const content = (await res.json()).choices?.[0]?.message?.content;
+    if (!content) throw new Error('empty completion');
+    return content;
+  }
+
+  /** Split "=== REQUIREMENTS.md === … === PLAN.md === …"; an unmarked answer is all plan. */
+  _split(content) {
+    const text     = content.replace(/^```\w*\s*$/gm, '');
+    const sections = {};
+    let   current  = null;
+    for (const line of text.split('\n')) {
+      const m = line.match(/^=+\s*(PLAN|REQUIREMENTS)\.md\s*=+\s*$/i);
+      if (m) { current = m[1].toUpperCase(); sections[current] = []; continue; }
+      if (current) sections[current].push(line);
+    }
+    return {
+      plan:         (sections.PLAN || (current ? [] : [text])).join('\n').trim() + '\n',
+      requirements: (sections.REQUIREMENTS || []).join('\n').trim() + '\n'
+    };
+  }
+
+  _skeleton(request) {
+    return {
+      requirements: `# Requirements\n\n- ${request}\n`,
+      plan:         `# Plan\n\n- [ ] ${request}\n  Acceptance: ${request} — done and committed, with tests where they apply\n`
+    };
+  }
+
+  async _write(dir, { plan, requirements }) {
+    await fs.ensureDir(dir);
+    await fs.writeFile(path.join(dir, 'PLAN.md'), `<!-- drafted by the zeroclaw native planner -->\n${plan}`);
+    if (requirements.trim()) await fs.writeFile(path.join(dir, 'REQUIREMENTS.md'), requirements);
+    log.done(`Plan written to ${path.relative(this.workspace, dir) || '.'}/PLAN.md`);
+    return true;
+  }
+}
+
+/* ── Factory ──────────────────────────────────────────────────────── */
+
+const PROVIDERS = { gsd: GsdProvider, native: NativeProvider };
+
+/**
+ * Providers to try, in order, for the "planner" config.
+ * @param {object} config  { provider: 'auto' | 'gsd' | 'native', gsd: {...}, native: {...} }
+ */
+function createProviders(workspace, config = {}) {
+  const kind = config.provider || 'auto';
+  const make = name => new PROVIDERS[name](workspace, config[name] || {});
+  if (kind === 'auto') return [make('gsd'), make('native')];
+  if (!PROVIDERS[kind]) throw new Error(`Unknown planner provider "${kind}" — use auto | ${Object.keys(PROVIDERS).join(' | ')}`);
+  return [make(kind)];
+}
+
+module.exports = { createProviders, GsdProvider, NativeProvider, PROVIDERS };
@@ -0,0 +1,244 @@
+'use strict';
+/**
+ * queue.js — Shared, persisted task queue (pull-based work distribution).
+ *
+ * Agents are not handed their whole workload up front. Each agent claims up
+ * to its profile's maxConcurrent tasks; when it reports one done
+ * (`zc_task_done` → success span) it pulls the next unclaimed, unblocked task.
+ * A fast agent therefore ends up doing more of the plan than a slow one.
+ *
+ * The DAG and readiness rules live in Scheduler; this class adds ownership
+ * and persists everything to .zeroclaw/queue.json so the supervisor (and
+ * `zeroclaw status`) can see who holds what.
+ *
+ * Task status:  pending → claimed → done
+ *                            ↘ (timed out) → pending again, for a different agent
+ *
+ * Timing: a task's clock starts at its start span (`zc_task_start`), or at
+ * the claim if the agent never sent one, and stops at its done/error span.
+ */
+
+const path      = require('path');
+const fs        = require('fs-extra');
+const Scheduler = require('./scheduler');
+
+class TaskQueue {
+  /**
+   * @param {string}    workspace
+   * @param {Scheduler} scheduler
+   * @param {object}    opts  { persist: false } keeps everything in memory (preview / dry run);
+   *                          { journal } also records every change there while persisting
+   */
+  constructor(workspace, scheduler, opts = {}) {
+    this.file      = path.join(workspace, '.zeroclaw', 'queue.json');
+    this.persist   = opts.persist !== false;
+    this.journal   = opts.journal || null;
+    this.scheduler = scheduler;
+    this.claims    = {};   // task id → { agent, claimedAt, startedAt, endedAt, doneAt }
+    this.history   = {};   // task id → [{ agent, reason, at, branch, lastCommit }] earlier attempts
+  }
+
+  /* ── Queries ────────────────────────────────────────────────────── */
+
+  /** Unclaimed tasks whose prerequisites are done. */
+  claimable() {
+    return this.scheduler.ready();
+  }
+
+  /** Tasks an agent holds that are not done yet. */
+  open(agent) {
+    return [...this.scheduler.tasks.values()].filter(t =>
+      this.claims[t.id]?.agent === agent && !this.scheduler.done.has(t.id)
+    );
+  }
+
+  /** Open task count per agent. */
+  load(agents) {
+    return Object.fromEntries(agents.map(a => [a, this.open(a).length]));
+  }
+
+  owner(id) {
+    return this.claims[id]?.agent || null;
+  }
+
+  /**
+   * Claimed, unfinished tasks whose clock is running: the agent has started
+   * them (zc_task_start). Tasks queued behind an agent's current one wait unclocked.
+   */
+  running() {
+    return [...this.scheduler.tasks.values()].filter(t =>
+      this.claims[t.id]?.startedAt && !this.claims[t.id].endedAt && !this.scheduler.done.has(t.id)
+    );
+  }
+
+  /** Agents that already gave up a task may not pull it again. */
+  excluded(id, agent) {
+    return (this.history[id] || []).some(h => h.agent === agent);
+  }
+
+  /** Minutes since the task's clock started (0 until the agent starts it). */
+  elapsed(id) {
+    const since = this.claims[id]?.startedAt;
+    return since ? (Date.now() - Date.parse(since)) / 60000 : 0;
+  }
+
+  status(id) {
+    if (this.scheduler.done.has(id)) return 'done';
+    if (this.claims[id])             return 'claimed';
+    return 'pending';
+  }
+
+  /* ── Mutations ──────────────────────────────────────────────────── */
+
+  async claim(id, agent) {
+    this.scheduler.release(id);
+    this.claims[id] = { agent, claimedAt: new Date().toISOString(), startedAt: null, endedAt: null, doneAt: null };
+    await this.save();
+    await this._record('assign', { id, agent });
+    return this.scheduler.tasks.get(id);
+  }
+
+  /** Start span: (re)start the task's clock. */
+  async start(text) {
+    const task = this.scheduler.match(text);
+    if (!task || !this.claims[task.id]) return null;
+    this.claims[task.id].startedAt = new Date().toISOString();
+    this.claims[task.id].endedAt   = null;
+    await this.save();
+    await this._record('task', { id: task.id, status: 'started' });
+    return task;
+  }
+
+  /** Error span: stop the clock until the agent starts the task again. */
+  async stopClock(text) {
+    const task = this.scheduler.match(text);
+    if (!task || !this.claims[task.id]) return null;
+    this.claims[task.id].endedAt = new Date().toISOString();
+    await this.save();
+    await this._record('task', { id: task.id, status: 'stopped' });
+    return task;
+  }
+
+  /** Undo a claim that never started (its agent could not be launched). */
+  async unclaim(id) {
+    delete this.claims[id];
+    this.scheduler.unrelease(id);
+    await this.save();
+    await this._record('task', { id, status: 'unclaimed' });
+  }
+
+  /**
+   * Take a task away from its agent and put it back in the queue. The
+   * attempt (and where its partial work lives) is kept so the next agent's
+   * brief can point at it, and the same agent will not pull it again.
+   * @param {{reason:string, branch?:string, lastCommit?:string}} note
+   */
+  async reassign(id, note) {
+    const agent = this.owner(id);
+    (this.history[id] ||= []).push({ agent, at: new Date().toISOString(), ...note });
+    delete this.claims[id];
+    this.scheduler.unrelease(id);
+    await this.save();
+    await this._record('task', { id, status: 'reassigned', agent, ...note });
+    return agent;
+  }
+
+  /** Re-planning: new tasks join the queue as pending. */
+  async add(tasks) {
+    for (const task of tasks) this.scheduler.add(task);
+    await this.save();
+    await this._record('add', { tasks });
+  }
+
+  /**
+   * Re-planning: take a task out of the plan altogether.
+   * @returns {string|null}  the agent that held it
+   */
+  async cancel(id) {
+    const agent = this.owner(id);
+    delete this.claims[id];
+    delete this.history[id];
+    this.scheduler.remove(id);
+    await this.save();
+    await this._record('task', { id, status: 'cancelled' });
+    return agent;
+  }
+
+  /**
+   * Mark a task done from span text ("#3 Build the API" or the bare title).
+   * @returns {object|null}  the completed task
+   */
+  async complete(text, agent) {
+    const task = this.scheduler.complete(text);
+    if (!task) return null;
+    const now = new Date().toISOString();
+    this.claims[task.id] = {
+      agent:     this.claims[task.id]?.agent     || agent,
+      claimedAt: this.claims[task.id]?.claimedAt || null,
+      startedAt: this.claims[task.id]?.startedAt || null,
+      endedAt:   now,
+      doneAt:    now
+    };
+    await this.save();
+    await this._record('task', { id: task.id, status: 'done', agent: this.claims[task.id].agent });
+    return task;
+  }
+
+  isFinished() {
+    return this.scheduler.isFinished();
+  }
+
+  /* ── Persistence ────────────────────────────────────────────────── */
+
+  async save() {
+    if (!this.persist) return;
+    await fs.ensureDir(path.dirname(this.file));
+    await fs.writeJson(this.file, { updatedAt: new Date().toISOString(), tasks: this.snapshot() }, { spaces: 2 });
+  }
+
+  /** Every task with its status and claim — queue.json's "tasks". */
+  snapshot() {
+    return [...this.scheduler.tasks.values()].map(t => ({
+      ...t,
+      status:    this.status(t.id),
+      agent:     this.claims[t.id]?.agent     || null,
+      claimedAt: this.claims[t.id]?.claimedAt || null,
+      startedAt: this.claims[t.id]?.startedAt || null,
+      endedAt:   this.claims[t.id]?.endedAt   || null,
+      doneAt:    this.claims[t.id]?.doneAt    || null,
+      attempts:  this.history[t.id]           || []
+    }));
+  }
+
+  async _record(type, data) {
+    if (this.persist && this.journal) await this.journal.record(type, data);
+  }
+
+  /** Rebuild a queue from .zeroclaw/queue.json; null if there is none. */
+  static async load(workspace) {
+    const file = path.join(workspace, '.zeroclaw', 'queue.json');
+    if (!await fs.pathExists(file)) return null;
+    const { tasks = [] } = await fs.readJson(file);
+    return TaskQueue.fromSnapshot(workspace, tasks);
+  }
+
+  /**
+   * A queue from snapshot() output (queue.json, or a journal replay).
+   * @param {object} opts  as for the constructor
+   */
+  static fromSnapshot(workspace, tasks, opts = {}) {
+    const queue = new TaskQueue(workspace, new Scheduler(
+      tasks.map(({ status, agent, claimedAt, startedAt, endedAt, doneAt, attempts, ...task }) => task)
+    ), opts);
+    for (const t of tasks) {
+      const { agent, claimedAt, startedAt, endedAt, doneAt } = t;
+      if (agent) queue.claims[t.id] = { agent, claimedAt, startedAt, endedAt, doneAt };
+      if (t.attempts?.length) queue.history[t.id] = t.attempts;
+      if (t.status !== 'pending') queue.scheduler.release(t.id);
+      if (t.status === 'done')    queue.scheduler.done.add(t.id);
+    }
+    return queue;
+  }
+}
+
+module.exports = TaskQueue;
@@ -0,0 +1,124 @@
+'use strict';
+/**
+ * router.js — Capability- and cost-based agent routing.
+ *
+ * Every agent carries a profile:
+ *   strengths      — capability labels, e.g. ['frontend', 'tests']
+ *   cost           — relative cost of running the agent (1 = cheapest)
+ *   maxConcurrent  — open tasks the agent may hold at once
+ *
+ * A task matches a strength through an explicit plan tag ("#tests") or
+ * through keywords in its title. The best-fit agent is the one with the
+ * highest match score after cost and current load are subtracted; agents
+ * already at maxConcurrent are skipped. Every decision carries a one-line
+ * reason so "Task assignments" can show why an agent got a task.
+ *
+ * route() picks an agent for a task (initial assignment); pick() goes the
+ * other way and chooses the best next task for an agent pulling work.
+ */
+
+// Keywords that count as evidence for a strength when found in the task title
+const STRENGTH_KEYWORDS = {
+  frontend: ['ui', 'css', 'html', 'component', 'react', 'vue', 'page', 'layout', 'style', 'form', 'frontend'],
+  backend:  ['api', 'server', 'endpoint', 'database', 'db', 'schema', 'migration', 'auth', 'backend'],
+  tests:    ['test', 'tests', 'spec', 'coverage', 'e2e', 'unit', 'integration'],
+  refactor: ['refactor', 'cleanup', 'clean up', 'rename', 'extract', 'simplify', 'dedupe'],
+  docs:     ['doc', 'docs', 'readme', 'changelog', 'comment', 'guide'],
+  shell:    ['script', 'shell', 'bash', 'ci', 'deploy', 'docker', 'makefile'],
+  research: ['research', 'investigate', 'spike', 'evaluate', 'compare']
+};
+
+const TAG_WEIGHT     = 3;
+const KEYWORD_WEIGHT = 2;
+const LOAD_PENALTY   = 0.5;
+
+class Router {
+  /**
+   * @param {Object<string, {strengths?:string[], cost?:number, maxConcurrent?:number}>} profiles
+   */
+  constructor(profiles = {}) {
+    this.profiles = {};
+    for (const [name, p] of Object.entries(profiles)) {
+      this.profiles[name] = {
+        strengths:     p.strengths     || [],
+        cost:          p.cost          ?? 1,
+        maxConcurrent: p.maxConcurrent ?? 1
+      };
+    }
+  }
+
+  /**
+   * Pick the best-fit agent for a task.
+   * @param {{title:string, tags?:string[]}} task
+   * @param {Object<string, number>} load  open task count per agent
+   * @returns {{agent:string, score:number, reason:string}|null}  null when every agent is at capacity
+   */
+  route(task, load = {}) {
+    let best = null;
+
+    for (const [agent, profile] of Object.entries(this.profiles)) {
+      const open = load[agent] || 0;
+      if (open >= profile.maxConcurrent) continue;
+
+      const matches = this._matches(task, profile);
+      const fit     = matches.reduce((s, m) => s + m.weight, 0);
+      const score   = fit - profile.cost - open * LOAD_PENALTY;
+
+      if (!best || score > best.score) {
+        best = { agent, score, reason: this._explain(matches, profile, open) };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Pick the best-fit task for an agent that is pulling work.
+   * @param {string} agent
+   * @param {Array<{title:string, tags?:string[]}>} tasks  claimable tasks, in plan order
+   * @param {Object<string, number>} load
+   * @returns {{task:object, reason:string}|null}  null when the agent is at capacity or nothing is left
+   */
+  pick(agent, tasks, load = {}) {
+    const profile = this.profiles[agent];
+    const open    = load[agent] || 0;
+    if (!profile || open >= profile.maxConcurrent) return null;
+
+    let best = null;
+    for (const task of tasks) {
+      const matches = this._matches(task, profile);
+      const fit     = matches.reduce((s, m) => s + m.weight, 0);
+      if (!best || fit > best.fit) {
+        best = { task, fit, reason: this._explain(matches, profile, open) };
+      }
+    }
+    return best && { task: best.task, reason: best.reason };
+  }
+
+  /* ── Helpers ────────────────────────────────────────────────────── */
+
+  _matches(task, profile) {
+    const title   = ` ${task.title.toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+    const tags    = (task.tags || []).map(t => t.toLowerCase());
+    const matches = [];
+
+    for (const strength of profile.strengths) {
+      if (tags.includes(strength)) {
+        matches.push({ strength, via: `#${strength}`, weight: TAG_WEIGHT });
+        continue;
+      }
+      const word = (STRENGTH_KEYWORDS[strength] || [strength]).find(k => title.includes(` ${k} `));
+      if (word) matches.push({ strength, via: `'${word}'`, weight: KEYWORD_WEIGHT });
+    }
+    return matches;
+  }
+
+  _explain(matches, profile, open) {
+    const fit = matches.length
+      ? matches.map(m => `${m.strength} (${m.via})`).join(', ')
+      : 'no strength match';
+    return `${fit}; cost ${profile.cost}; load ${open}/${profile.maxConcurrent}`;
+  }
+}
+
+Router.STRENGTH_KEYWORDS = STRENGTH_KEYWORDS;
+module.exports           = Router;
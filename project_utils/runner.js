@@ -0,0 +1,252 @@
+'use strict';
+/**
+ * runner.js — Where agent processes live.
+ *
+ * Two interchangeable backends, chosen with `zeroclaw start --runner <kind>`:
+ *
+ *   tmux  (default) — one window per agent in a tmux session named after the
+ *                     zeroclaw session (see sessions.js); `zeroclaw attach` to watch live.
+ *   pty             — each agent in a node-pty pseudo-terminal owned by the
+ *                     supervisor process; output streams to .zeroclaw/logs/<agent>.log.
+ *                     No tmux needed — suited to CI boxes and containers.
+ *
+ * Both expose the same surface to the Distributor and the Watchdog:
+ *   open({ reset })                  prepare the session
+ *   newWindow(name, { cwd, command }) start a command in a named window
+ *   send(name, text)                 type a line into a window
+ *   kill(name)                       close a window
+ *   inspect(name)                    → { alive, reason, output }
+ *   layout(layout)                   arrange windows (tmux only)
+ *   windows(), scrollback(name)      window names and full pane history (tmux only)
+ *   close()                          stop everything this runner owns
+ *   hint()                           how the user can watch the agents
+ *
+ * Windows (tmux) and pseudo-terminals (pty) are `width` × `height` characters,
+ * 220 × 50 unless the "tmux" config key says otherwise.
+ */
+
+const path      = require('path');
+const fs        = require('fs-extra');
+const execa     = require('execa');
+const { log }   = require('./ui');
+const { quote } = require('./shell');
+
+const SHELLS = ['bash', 'zsh', 'sh', 'fish', 'dash', 'ksh'];
+const SIZE   = { width: 220, height: 50 };
+
+/* ── tmux ─────────────────────────────────────────────────────────── */
+
+class TmuxRunner {
+  /**
+   * @param {object} opts  { sessionName, width, height } — tmux session to run in (default "zeroclaw") and its window size
+   */
+  constructor(workspace, opts = {}) {
+    this.kind        = 'tmux';
+    this.workspace   = workspace;
+    this.sessionName = opts.sessionName || 'zeroclaw';
+    this.opts        = { ...SIZE, ...opts };
+  }
+
+  async open({ reset = false } = {}) {
+    if (reset) {
+      // Kill stale session if exists
+      try { await execa('tmux', ['kill-session', '-t', this.sessionName]); } catch { /* ok */ }
+    } else {
+      try {
+        await execa('tmux', ['has-session', '-t', this.sessionName]);
+        return;
+      } catch { /* no session yet */ }
+    }
+    // Create new session (detached) — first window is the supervisor pane
+    await execa('tmux', ['new-session', '-d', '-s', this.sessionName, '-n', 'supervisor',
+      '-x', String(this.opts.width), '-y', String(this.opts.height)]);
+  }
+
+  async newWindow(name, { cwd, command }) {
+    await execa('tmux', ['new-window', '-t', this.sessionName, '-n', name]);
+    if (cwd) await this.send(name, `cd ${quote(cwd)}`);
+    await this.send(name, command);
+  }
+
+  async send(name, text) {
+    await execa('tmux', ['send-keys', '-t', `${this.sessionName}:${name}`, text, 'Enter']);
+  }
+
+  async kill(name) {
+    try { await execa('tmux', ['kill-window', '-t', `${this.sessionName}:${name}`]); } catch { /* already gone */ }
+  }
+
+  async inspect(name) {
+    const target = `${this.sessionName}:${name}`;
+
+    let pane;
+    try {
+      const { stdout } = await execa('tmux', ['list-panes', '-t', target, '-F', '#{pane_dead} #{pane_current_command}'], { stdio: 'pipe' });
+      pane = stdout.split('\n')[0].trim();
+    } catch {
+      return { alive: false, reason: 'window closed', output: '' };
+    }
+
+    const [dead, command] = pane.split(' ');
+    if (dead === '1')             return { alive: false, reason: 'pane exited', output: '' };
+    if (SHELLS.includes(command)) return { alive: false, reason: 'agent process exited', output: '' };
+
+    let output = '';
+    try {
+      ({ stdout: output } = await execa('tmux', ['capture-pane', '-p', '-t', target], { stdio: 'pipe' }));
+    } catch { /* treat as unchanged */ }
+    return { alive: true, reason: null, output };
+  }
+
+  async layout(layout) {
+    await execa('tmux', ['select-layout', '-t', this.sessionName, layout || 'tiled']);
+  }
+
+  /** Window names in this tmux session ([] when it is gone). */
+  async windows() {
+    try {
+      const { stdout } = await execa('tmux', ['list-windows', '-t', this.sessionName, '-F', '#{window_name}'], { stdio: 'pipe' });
+      return stdout.split('\n').filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+
+  /** A window's whole scrollback, wrapped lines joined. */
+  async scrollback(name) {
+    const { stdout } = await execa('tmux', ['capture-pane', '-p', '-J', '-S', '-', '-t', `${this.sessionName}:${name}`], { stdio: 'pipe' });
+    return stdout;
+  }
+
+  async close() {
+    // tmux windows outlive the supervisor on purpose — `zeroclaw kill` ends them
+  }
+
+  hint() {
+    return `tmux attach -t ${this.sessionName}`;
+  }
+
+  static async killAll(sessionName = 'zeroclaw') {
+    await execa('tmux', ['kill-session', '-t', sessionName]);
+  }
+}
+
+/* ── node-pty ─────────────────────────────────────────────────────── */
+
+class PtyRunner {
+  constructor(workspace, opts = {}) {
+    this.kind      = 'pty';
+    this.workspace = workspace;
+    this.opts      = { ...SIZE, ...opts };
+    this.logsDir   = path.join(workspace, '.zeroclaw', 'logs');
+    this.pidFile   = path.join(workspace, '.zeroclaw', 'pty.json');
+    this.procs     = {};   // name → { proc, log, exited, tail }
+
+    try {
+      this.pty = require('node-pty');
+    } catch (err) {
+      throw new Error(`node-pty is not available (${err.message}). Run \`npm rebuild node-pty\` or use --runner tmux.`);
+    }
+  }
+
+  async open() {
+    await fs.ensureDir(this.logsDir);
+  }
+
+  async newWindow(name, { cwd, command }) {
+    await this.kill(name);
+
+    const logFile = path.join(this.logsDir, `${name}.log`);
+    const stream  = fs.createWriteStream(logFile, { flags: 'a' });
+    stream.write(`\n──── ${new Date().toISOString()}  ${command}\n`);
+
+    const proc = this.pty.spawn(process.env.SHELL || 'bash', ['-c', command], {
+      name: 'xterm-256color',
+      cols: this.opts.width,
+      rows: this.opts.height,
+      cwd:  cwd || this.workspace,
+      env:  process.env
+    });
+
+    const entry = { proc, log: stream, exited: false, tail: '' };
+    proc.onData(data => {
+      if (!stream.writableEnded) stream.write(data);
+      entry.tail = (entry.tail + data).slice(-4000);
+    });
+    proc.onExit(({ exitCode }) => {
+      entry.exited = true;
+      if (!stream.writableEnded) stream.write(`\n──── exited with code ${exitCode}\n`);
+    });
+
+    this.procs[name] = entry;
+    await this._writePids();
+  }
+
+  async send(name, text) {
+    const entry = this.procs[name];
+    if (!entry || entry.exited) throw new Error(`no running agent "${name}"`);
+    entry.proc.write(`${text}\r`);
+  }
+
+  async kill(name) {
+    const entry = this.procs[name];
+    if (!entry) return;
+    if (!entry.exited) {
+      try { entry.proc.kill(); } catch { /* already gone */ }
+    }
+    entry.log.end();
+    delete this.procs[name];
+    await this._writePids();
+  }
+
+  async inspect(name) {
+    const entry = this.procs[name];
+    if (!entry)       return { alive: false, reason: 'window closed', output: '' };
+    if (entry.exited) return { alive: false, reason: 'agent process exited', output: entry.tail };
+    return { alive: true, reason: null, output: entry.tail };
+  }
+
+  async layout() { /* no panes to arrange */ }
+
+  async close() {
+    for (const name of Object.keys(this.procs)) await this.kill(name);
+  }
+
+  hint() {
+    return `tail -f ${path.join(this.logsDir, '<agent>.log')}`;
+  }
+
+  /** Record child pids so `zeroclaw kill` can stop them from another process. */
+  async _writePids() {
+    const pids = Object.fromEntries(
+      Object.entries(this.procs).filter(([, e]) => !e.exited).map(([name, e]) => [name, e.proc.pid])
+    );
+    await fs.writeJson(this.pidFile, pids, { spaces: 2 });
+  }
+
+  static async killAll(workspace) {
+    const pidFile = path.join(workspace, '.zeroclaw', 'pty.json');
+    if (!await fs.pathExists(pidFile)) throw new Error('no pty agents recorded');
+    const pids = await fs.readJson(pidFile);
+    for (const [name, pid] of Object.entries(pids)) {
+      try {
+        process.kill(pid, 'SIGTERM');
+      } catch {
+        log.warn(`Agent ${name} (pid ${pid}) was not running.`);
+      }
+    }
+    await fs.remove(pidFile);
+  }
+}
+
+/* ── Factory ──────────────────────────────────────────────────────── */
+
+const RUNNERS = { tmux: TmuxRunner, pty: PtyRunner };
+
+function createRunner(kind, workspace, opts = {}) {
+  const Runner = RUNNERS[kind || 'tmux'];
+  if (!Runner) throw new Error(`Unknown runner "${kind}" — use ${Object.keys(RUNNERS).join(' | ')}`);
+  return new Runner(workspace, opts);
+}
+
+module.exports = { createRunner, TmuxRunner, PtyRunner, RUNNERS };
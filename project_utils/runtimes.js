@@ -0,0 +1,147 @@
+'use strict';
+/**
+ * runtimes.js — Planning runtimes: the agent CLIs that run GSD slash commands.
+ *
+ * The Planner (GSD provider), the Distributor (/gsd:resume-work) and
+ * scripts/setup.js all go through this table instead of hard-coding CLIs:
+ *
+ *   bin       executable name (also used by the install probe)
+ *   version   args for the install probe
+ *   invoke    argument template for one slash command; placeholders {bin} {command} {args}
+ *   input     how free text (a quick task's description) reaches the command:
+ *               stdin → piped in
+ *               arg   → appended as one more argument
+ *   gsdFlag   installer flag: npx get-shit-done-cc@latest <gsdFlag> --global
+ *   gsdDir    directory whose presence means GSD is installed for the runtime
+ *
+ * Entries are tried in table order when the runtime is "auto". Built-ins can be
+ * overridden, disabled ({ "enabled": false }) or extended through the
+ * "runtimes" key of .zeroclaw/config.json, like agents (see agents.js):
+ *
+ *   { "runtimes": { "claude": { "invoke": "{bin} -p {command} {args}" } } }
+ *
+ * Which runtime plans, and whether zeroclaw may install GSD on its own, is set
+ * under "planner.gsd" (see providers.js).
+ */
+
+const fs                    = require('fs-extra');
+const execa                 = require('execa');
+const Config                = require('./config');
+const { expandHome, quote } = require('./shell');
+
+const DEFAULT_RUNTIMES = {
+  opencode: {
+    bin: 'opencode', invoke: '{bin} run {command} {args}', input: 'stdin',
+    gsdFlag: '--opencode', gsdDir: '~/.config/opencode/commands'
+  },
+  claude: {
+    bin: 'claude', invoke: '{bin} --dangerously-skip-permissions {command} {args}', input: 'arg',
+    gsdFlag: '--claude', gsdDir: '~/.claude/commands'
+  },
+  gemini: {
+    bin: 'gemini', invoke: '{bin} {command} {args}', input: 'arg',
+    gsdFlag: '--gemini', gsdDir: '~/.gemini/commands'
+  },
+  codex: {
+    bin: 'codex', invoke: '{bin} {command} {args}', input: 'arg',
+    gsdFlag: '--codex', gsdDir: '~/.codex/skills/gsd-new-project'
+  }
+};
+
+const INPUT_MODES = ['stdin', 'arg'];
+
+class RuntimeRegistry {
+  constructor(defs = {}) {
+    this.runtimes = {};
+    for (const [name, def] of Object.entries(defs)) {
+      if (def.enabled === false) continue;
+      this.runtimes[name] = {
+        version: ['--version'],
+        invoke:  '{bin} {command} {args}',
+        input:   'arg',
+        gsdFlag: `--${name}`,
+        gsdDir:  null,
+        ...def
+      };
+      if (!INPUT_MODES.includes(this.runtimes[name].input)) {
+        throw new Error(`Runtime "${name}": input must be one of ${INPUT_MODES.join(' | ')}`);
+      }
+      if (!this.runtimes[name].bin) throw new Error(`Runtime "${name}": missing "bin"`);
+    }
+  }
+
+  names() {
+    return Object.keys(this.runtimes);
+  }
+
+  get(name) {
+    return this.runtimes[name];
+  }
+
+  /** Runtimes whose CLI answers the version probe, in table order. */
+  async detect() {
+    const found = [];
+    for (const name of this.names()) {
+      const rt = this.runtimes[name];
+      try {
+        await execa(rt.bin, rt.version, { stdio: 'pipe', timeout: 3000 });
+        found.push(name);
+      } catch { /* not installed */ }
+    }
+    return found;
+  }
+
+  /**
+   * The runtime to plan with.
+   * @param {string} wanted  a runtime name, or 'auto' for the first installed one
+   * @returns {Promise<string|null>}  null when it (or, for 'auto', every runtime) is missing
+   */
+  async pick(wanted = 'auto') {
+    if (wanted !== 'auto' && !this.runtimes[wanted]) {
+      throw new Error(`Unknown planning runtime "${wanted}" — use auto | ${this.names().join(' | ')}`);
+    }
+    const found = await this.detect();
+    if (wanted === 'auto') return found[0] || null;
+    return found.includes(wanted) ? wanted : null;
+  }
+
+  /**
+   * Arguments that run a slash command.
+   * @param {string}   name
+   * @param {string}   command  e.g. '/gsd:plan-phase'
+   * @param {string[]} args
+   * @returns {string[]}  [bin, ...args]
+   */
+  argv(name, command, args = []) {
+    const rt = this.runtimes[name];
+    return rt.invoke.trim().split(/\s+/).flatMap(token => {
+      if (token === '{args}') return args.map(String);
+      return [token.replace(/\{(bin|command)\}/g, (_, key) => (key === 'bin' ? rt.bin : command))];
+    });
+  }
+
+  /** argv() as a shell command line, for a pane. */
+  command(name, command, args = []) {
+    return this.argv(name, command, args).map(quote).join(' ');
+  }
+
+  async gsdInstalled(name) {
+    const dir = this.runtimes[name].gsdDir;
+    if (!dir) return false;
+    return fs.pathExists(expandHome(dir));
+  }
+
+  /** Install GSD for one runtime (global npx install); throws when the installer fails. */
+  async installGsd(name, opts = {}) {
+    await execa('npx', ['get-shit-done-cc@latest', this.runtimes[name].gsdFlag, '--global'], { stdio: 'inherit', ...opts });
+  }
+
+  /** Built-in runtimes merged with the "runtimes" key of the user/workspace config. */
+  static async load(workspace) {
+    const config = await Config.load(workspace);
+    return new RuntimeRegistry(Config.merge(DEFAULT_RUNTIMES, config.get('runtimes', {})));
+  }
+}
+
+RuntimeRegistry.DEFAULT_RUNTIMES = DEFAULT_RUNTIMES;
+module.exports                   = RuntimeRegistry;
@@ -0,0 +1,150 @@
+'use strict';
+/**
+ * scheduler.js — Dependency-aware task scheduling.
+ *
+ * Builds a DAG from the plan's tasks ({ id, title, deps }) and decides which
+ * tasks may be handed to agents. A task is only released once every task it
+ * depends on has been reported done (a success span in
+ * .zeroclaw/lightning-spans/, written by `zc_task_done`).
+ *
+ * Task states:
+ *   blocked → ready → released → done
+ *
+ * Tasks already checked off in PLAN.md (`done: true`) start out done.
+ */
+
+class Scheduler {
+  /**
+   * @param {Array<{id:number,title:string,deps:number[],done?:boolean}>} tasks
+   */
+  constructor(tasks = []) {
+    this.tasks    = new Map();
+    this.released = new Set();
+    this.done     = new Set();
+    this.warnings = [];
+
+    for (const task of tasks) {
+      this.tasks.set(task.id, { ...task, deps: [...new Set(task.deps || [])] });
+      if (task.done) this.done.add(task.id);
+    }
+
+    // Drop references to tasks that do not exist in this plan
+    for (const task of this.tasks.values()) {
+      const unknown = task.deps.filter(d => !this.tasks.has(d));
+      if (unknown.length) {
+        this.warnings.push(`Task #${task.id} depends on unknown task(s) ${unknown.map(d => `#${d}`).join(', ')} — ignored.`);
+        task.deps = task.deps.filter(d => this.tasks.has(d));
+      }
+    }
+  }
+
+  /* ── Graph checks ───────────────────────────────────────────────── */
+
+  /**
+   * Depth-first search for a dependency cycle.
+   * @returns {number[]|null}  ids along the cycle (first id repeated at the end), or null
+   */
+  findCycle() {
+    const WHITE = 0, GREY = 1, BLACK = 2;
+    const colour = new Map([...this.tasks.keys()].map(id => [id, WHITE]));
+    const stack  = [];
+
+    const visit = (id) => {
+      colour.set(id, GREY);
+      stack.push(id);
+      for (const dep of this.tasks.get(id).deps) {
+        if (colour.get(dep) === GREY) return [...stack.slice(stack.indexOf(dep)), dep];
+        if (colour.get(dep) === WHITE) {
+          const cycle = visit(dep);
+          if (cycle) return cycle;
+        }
+      }
+      stack.pop();
+      colour.set(id, BLACK);
+      return null;
+    };
+
+    for (const id of this.tasks.keys()) {
+      if (colour.get(id) === WHITE) {
+        const cycle = visit(id);
+        if (cycle) return cycle;
+      }
+    }
+    return null;
+  }
+
+  /* ── State ──────────────────────────────────────────────────────── */
+
+  /** Tasks whose prerequisites are all done and that no agent holds yet. */
+  ready() {
+    return [...this.tasks.values()].filter(t =>
+      !this.released.has(t.id) &&
+      !this.done.has(t.id) &&
+      t.deps.every(d => this.done.has(d))
+    );
+  }
+
+  /** Tasks still waiting on at least one prerequisite. */
+  blocked() {
+    return [...this.tasks.values()].filter(t =>
+      !this.released.has(t.id) &&
+      !this.done.has(t.id) &&
+      t.deps.some(d => !this.done.has(d))
+    );
+  }
+
+  release(id) {
+    this.released.add(id);
+  }
+
+  /** Put a released task back up for grabs (e.g. after a timeout). */
+  unrelease(id) {
+    this.released.delete(id);
+  }
+
+  /** Add a task to a live DAG (re-planning). Unknown dependencies are dropped. */
+  add(task) {
+    this.tasks.set(task.id, { ...task, deps: [...new Set(task.deps || [])].filter(d => this.tasks.has(d)) });
+    if (task.done) this.done.add(task.id);
+  }
+
+  /** Drop a task; tasks that waited on it no longer do. */
+  remove(id) {
+    this.tasks.delete(id);
+    this.released.delete(id);
+    this.done.delete(id);
+    for (const task of this.tasks.values()) task.deps = task.deps.filter(d => d !== id);
+  }
+
+  /**
+   * Mark a task done from a span's task text.
+   * @returns {object|null}  the completed task, or null if nothing matched
+   */
+  complete(text) {
+    const task = this.match(text);
+    if (!task || this.done.has(task.id)) return null;
+    this.done.add(task.id);
+    return task;
+  }
+
+  isFinished() {
+    return this.done.size === this.tasks.size;
+  }
+
+  /**
+   * Resolve span task text to a task: "#3", "#3 Build the API" or the bare title.
+   */
+  match(text = '') {
+    const t  = String(text).trim();
+    const id = t.match(/^#(\d+)\b/);
+    if (id && this.tasks.has(parseInt(id[1]))) return this.tasks.get(parseInt(id[1]));
+
+    const norm = t.replace(/^#\d+\s*/, '').toLowerCase();
+    for (const task of this.tasks.values()) {
+      if (task.title.toLowerCase() === norm) return task;
+    }
+    return null;
+  }
+}
+
+module.exports = Scheduler;
@@ -2,12 +2,14 @@
 /**
  * session.js — Workspace session lifecycle manager.
  *
- * Owns the state machine:
+ * Owns the state machine (lifecycle.js):
  *   idle → conversing → planning → distributing → agents_running → session_end
+ * Each transition is saved to session.json as it happens.
  */
 
 const path        = require('path');
 const fs          = require('fs-extra');
+const execa       = require('execa');
 const { v4: uuid }= require('uuid');
 const chalk       = require('chalk');
 const Conversation= require('./conversation');
@@ -15,96 +17,402 @@ const Planner     = require('./planner');
 const Distributor = require('./distributor');
 const Lightning   = require('./lightning');
 const Git         = require('./git');
+const Lifecycle   = require('./lifecycle');
+const Sessions    = require('./sessions');
+const Archive     = require('./archive');
+const Dashboard   = require('./dashboard');
+const Journal     = require('./journal');
+const Events      = require('./events');
+const Config      = require('./config');
+const { TmuxRunner, PtyRunner } = require('./runner');
 const { log }     = require('./ui');
 
+const S = Lifecycle.STATES;
+
 class Session {
   constructor(opts = {}) {
-    this.workspace    = opts.workspace || process.cwd();
+    this.workspace    = path.resolve(opts.workspace || process.cwd());
+    this.name         = opts.name      || null;     // resolved in _loadOrInitState (see sessions.js)
     this.resume       = opts.resume    || false;
-    this.lightning    = opts.lightning !== false;  // default ON
-    this.tmuxLayout   = opts.tmuxLayout || 'tiled';
+    // Flags given on the command line; what they leave null comes from config.json (see _loadConfig)
+    this.lightning    = opts.lightning ?? null;     // default ON   (lightning.enabled)
+    this.tmuxLayout   = opts.tmuxLayout || null;    // default tiled (tmux.layout)
+    this.runner       = opts.runner    || null;     // tmux | pty    (runner)
+    this.dryRun       = opts.dryRun    || false;    // preview every distribution, launch nothing
+    this.maxAgents    = parseInt(opts.maxAgents) || 0; // overrides concurrency.maxParallelAgents
+    this.planningRuntime = opts.planningRuntime || null;  // overrides planner.gsd.runtime
+    this.installGsd   = opts.installGsd || false;   // overrides planner.gsd.install with "always"
+    this.config       = null;   // validated Config, loaded by start()
+    this.tmux         = {};     // "tmux" config: window size for the runner
     this.id           = uuid();
     this.stateFile    = path.join(this.workspace, '.zeroclaw', 'session.json');
-    this.state        = 'idle';
-    this.agents       = [];   // active agent descriptors
+    this.lifecycle    = new Lifecycle();   // replaced in _loadOrInitState when resuming
+    this.agents       = [];   // [{ name, window, cwd, launchedAt }] — one per agent pane launched
+    this.distributor  = null; // live Distributor (releases held tasks until session end)
+    this.worktrees    = [];   // [{ agent, path, branch }] — one git worktree per agent
+    this.meta         = {};   // status / timestamps persisted alongside the above
   }
 
   /* ─── Public lifecycle ─────────────────────────────────────────────── */
 
   async start() {
     await this._ensureDirs();
-    await this._loadOrInitState();
+    if (!await this._loadConfig()) return;
+    try {
+      await this._loadOrInitState();
+    } catch (err) {
+      log.error(err.message);
+      return;
+    }
 
-    log.section('Session', `id=${this.id}  workspace=${this.workspace}`);
+    log.section('Session', `name=${this.name}  id=${this.id}  workspace=${this.workspace}`);
 
-    // Initialize git repo / branch hygiene
+    // Initialize git repo / branch hygiene; the archive's git log starts here
     const git = new Git(this.workspace);
     await git.ensureRepo();
+    if (!this.meta.startCommit) await this._saveState({ startCommit: await git.head() });
 
     // AgentLightning RL server — starts in background if enabled
     let lightning = null;
     if (this.lightning) {
-      lightning = new Lightning(this.workspace);
+      lightning = new Lightning(this.workspace, this.config.get('lightning', {}));
       await lightning.start();
     }
 
-    // Main conversation loop
+    // Main conversation loop; --resume first picks up where the last run stopped
+    await this.lifecycle.go(S.CONVERSING);
+    if (this.resume) await this.dispatch('continue');
     const conversation = new Conversation(this.workspace, this);
     await conversation.loop();   // blocks until user exits
 
-    // Session teardown
-    await this._saveState({ status: 'ended', endedAt: new Date().toISOString() });
+    // Session teardown (entering session_end archives it — see _loadOrInitState)
+    if (this.distributor) await this.distributor.stop();
     if (lightning) await lightning.stop();
+    this.meta.status  = 'ended';
+    this.meta.endedAt = new Date().toISOString();
+    await this.lifecycle.go(S.SESSION_END, 'user exit');
 
     log.done('Session ended. Goodbye.');
   }
 
-  static async status() {
-    // Print .zeroclaw/session.json from cwd
-    const stateFile = path.join(process.cwd(), '.zeroclaw', 'session.json');
-    if (!await fs.pathExists(stateFile)) {
+  /**
+   * Show a session's dashboard (see dashboard.js) — the named one, else the one
+   * in the current directory. With `all` (or nothing to show) list every session.
+   * @param {object} opts  { name, all, json, watch } — watch: refresh every n seconds (default 2) until Ctrl-C
+   */
+  static async status(opts = {}) {
+    if (opts.all) return Session._printSessions();
+
+    const workspace = await Session._workspaceFor(opts.name);
+    if (!workspace) return;
+    if (!await fs.pathExists(path.join(workspace, '.zeroclaw', 'session.json'))) {
       console.log(chalk.yellow('No active session found in this directory.'));
+      return Session._printSessions();
+    }
+
+    const dashboard = new Dashboard(workspace);
+    const every     = (parseFloat(opts.watch) || 2) * 1000;
+    const show      = async () => {
+      const data = await dashboard.collect();
+      if (opts.json) {
+        console.log(JSON.stringify(data, null, opts.watch ? 0 : 2));   // one line per refresh when watching
+        return;
+      }
+      if (opts.watch) console.clear();
+      console.log(dashboard.render(data));
+      if (opts.watch) console.log(chalk.gray(`\n  refreshing every ${every / 1000}s — Ctrl-C to stop`));
+    };
+
+    await show();
+    while (opts.watch) {
+      await new Promise(resolve => setTimeout(resolve, every));
+      await show();
+    }
+  }
+
+  /**
+   * @param {object} opts  { name, preserveWorktrees } — the session to kill (default: this
+   *                       directory's); preserveWorktrees keeps agent checkouts for inspection
+   */
+  static async kill(opts = {}) {
+    const workspace = await Session._workspaceFor(opts.name);
+    if (!workspace) return;
+    const stateFile = path.join(workspace, '.zeroclaw', 'session.json');
+    const state     = await fs.pathExists(stateFile) ? await fs.readJson(stateFile) : {};
+    const name      = state.name || opts.name || 'zeroclaw';   // sessions before naming used "zeroclaw"
+
+    // Archive first, while the agents' pane history is still there. The session
+    // is over either way: marked ended, the next `zeroclaw start` does not resume it
+    if (state.id) {
+      Object.assign(state, { status: 'ended', endedAt: new Date().toISOString() });
+      try {
+        state.archive = await new Archive(workspace).write(state, 'kill');
+        console.log(chalk.gray(`  Archived to ${state.archive}`));
+      } catch (err) {
+        console.log(chalk.yellow(`Could not archive the session: ${err.message}`));
+      }
+      await fs.writeJson(stateFile, state, { spaces: 2 });
+    }
+
+    // Stop the agents — the session's tmux session, or the pty children recorded by the supervisor
+    if (state.runner === 'pty') {
+      try {
+        await PtyRunner.killAll(workspace);
+        console.log(chalk.green('Session killed.'));
+      } catch {
+        console.log(chalk.yellow('No pty agents recorded for this workspace.'));
+      }
+    } else {
+      try {
+        await TmuxRunner.killAll(name);
+        console.log(chalk.green(`Session "${name}" killed.`));
+      } catch {
+        console.log(chalk.yellow(`No tmux session named "${name}" found.`));
+      }
+    }
+    await Sessions.unregister(name);
+    const journal = new Journal(workspace);
+    for (const agent of state.agents || []) await journal.record('exit', { agent: agent.name, reason: 'session killed' });
+
+    // Clean up agent worktrees recorded in session.json (branches are kept)
+    const worktrees = state.worktrees || [];
+    if (!worktrees.length) return;
+
+    if (opts.preserveWorktrees) {
+      worktrees.forEach(wt => console.log(chalk.gray(`  Preserved ${wt.path}  (${wt.branch})`)));
       return;
     }
-    const state = await fs.readJson(stateFile);
-    console.log(chalk.cyan('\nZeroclaw Session State\n'));
-    console.log(JSON.stringify(state, null, 2));
+
+    const git  = new Git(workspace);
+    const kept = [];
+    for (const wt of worktrees) {
+      if (await git.removeWorktree(wt.path)) {
+        console.log(chalk.gray(`  Removed worktree ${wt.path}  (branch ${wt.branch} kept)`));
+      } else {
+        kept.push(wt);
+      }
+    }
+    await fs.writeJson(stateFile, { ...state, worktrees: kept }, { spaces: 2 });
   }
 
-  static async kill() {
-    const { execaCommand } = require('execa');
-    // Kill the tmux session named zeroclaw if running
+  /**
+   * Watch a session's agents: attach to (or, inside tmux, switch to) its tmux session.
+   * @param {object} opts  { name } — default: the session in this directory
+   */
+  static async attach(opts = {}) {
+    const entry = await Sessions.find(opts.name, process.cwd());
+    if (!entry) {
+      console.log(chalk.yellow(opts.name ? `No running session named "${opts.name}".` : 'No session running in this directory.'));
+      return Session._printSessions();
+    }
+    if (entry.runner === 'pty') {
+      console.log(`Session "${entry.name}" runs its agents in ptys — follow them with:`);
+      console.log(chalk.cyan(`  tail -f ${path.join(entry.workspace, '.zeroclaw', 'logs', '<agent>.log')}`));
+      return;
+    }
+    const args = process.env.TMUX ? ['switch-client', '-t', entry.name] : ['attach', '-t', entry.name];
     try {
-      await execaCommand('tmux kill-session -t zeroclaw');
-      console.log(chalk.green('Session killed.'));
-    } catch {
-      console.log(chalk.yellow('No tmux session named "zeroclaw" found.'));
+      await execa('tmux', args, { stdio: 'inherit' });
+    } catch (err) {
+      console.log(chalk.red(`Could not attach to "${entry.name}": ${err.shortMessage || err.message}`));
+    }
+  }
+
+  /**
+   * Past sessions of this workspace (docs/session-logs/), or one in detail.
+   * @param {object} opts  { ref } — archive folder, session name or id (prefixes work)
+   */
+  static async history(opts = {}) {
+    const workspace = process.cwd();
+    if (!opts.ref) {
+      const archives = await Archive.list(workspace);
+      if (!archives.length) {
+        console.log(chalk.gray('No archived sessions in docs/session-logs/.'));
+        return;
+      }
+      console.log(chalk.cyan('\nSession History\n'));
+      for (const a of archives) {
+        console.log(`  ${chalk.bold(a.folder.padEnd(36))} ${minutes(a.startedAt, a.endedAt).padStart(7)}  ` +
+          `${`${a.tasks.done}/${a.tasks.total}`.padStart(5)} tasks  ${chalk.gray(`${a.reason}, ${a.state || '?'}`)}`);
+      }
+      console.log(chalk.gray('\n  zeroclaw history <folder | name | id>  for one session'));
+      return;
+    }
+
+    const a = await Archive.find(workspace, opts.ref);
+    if (!a) {
+      console.log(chalk.yellow(`No archived session matches "${opts.ref}".`));
+      return;
+    }
+    console.log(chalk.cyan(`\nSession ${a.name || a.id}\n`));
+    console.log(`  id         ${a.id}`);
+    console.log(`  started    ${a.startedAt}`);
+    console.log(`  ended      ${a.endedAt}  (${minutes(a.startedAt, a.endedAt)}, ${a.reason}, last state ${a.state || '?'})`);
+    console.log(`  tasks      ${a.tasks.done} of ${a.tasks.total} done`);
+    for (const [agent, r] of Object.entries(a.agents || {})) {
+      console.log(`  ${agent.padEnd(10)} ${r.done} done, ${r.errors} error(s), reward ${r.score}`);
+    }
+
+    const commits = (await fs.readFile(path.join(a.dir, 'git-log.txt'), 'utf8').catch(() => '')).trim();
+    console.log(chalk.cyan('\nCommits'));
+    console.log(commits ? commits.split('\n').slice(0, 20).map(l => `  ${l}`).join('\n') : chalk.gray('  none'));
+    console.log(chalk.cyan('\nFiles'));
+    for (const part of ['session.json', 'tasks', 'plan', 'rewards.json', 'panes', 'git-log.txt', 'events.jsonl']) {
+      console.log(chalk.gray(`  ${path.relative(workspace, path.join(a.dir, part))}`));
     }
   }
 
+  /**
+   * Print a session's latest events (see events.js) — the named one, else this
+   * directory's — and with `follow`, every event logged in its workspace after.
+   * @param {object} opts  { name, follow, json, type, lines, all } — type: prefix such as "task.";
+   *                       all: every session's events in the workspace, not just the last one's
+   */
+  static async events(opts = {}) {
+    const workspace = await Session._workspaceFor(opts.name);
+    if (!workspace) return;
+    const state  = await fs.readJson(path.join(workspace, '.zeroclaw', 'session.json')).catch(() => ({}));
+    const filter = { type: opts.type || null };
+    const print  = e => console.log(opts.json
+      ? JSON.stringify(e)
+      : `${chalk.gray(e.at)}  ${chalk.cyan(e.type.padEnd(18))}  ${Events.describe(e)}`);
+
+    const past = await Events.read(workspace, { ...filter, session: opts.all ? null : state.id || null });
+    past.slice(-(parseInt(opts.lines) || 20)).forEach(print);
+    if (!past.length && !opts.json) console.log(chalk.gray('No events logged yet.'));
+    if (!opts.follow) return;
+
+    // Follow the whole log, so a session started meanwhile shows up too; runs until Ctrl-C
+    if (!opts.json) console.log(chalk.gray(`Following ${path.join(workspace, '.zeroclaw', 'events.jsonl')} — Ctrl-C to stop`));
+    await Events.follow(workspace, print, filter);
+  }
+
+  /**
+   * Read, change or check this directory's configuration (see config.js).
+   *   get [key]          the merged value (user file, then workspace file); everything without a key
+   *   set <key> <value>  value is parsed as JSON when it can be ("8080", "false", '["a"]'), else kept as text
+   *   validate           check both files against the schema
+   * Sets a non-zero exit code when a file is invalid or a value is refused.
+   * @param {object} opts  { action, key, value, user } — user: `set` writes ~/.zeroclaw/config.json
+   */
+  static async config(opts = {}) {
+    const config = new Config(process.cwd());
+    switch (opts.action) {
+      case 'get': {
+        await config.load();
+        const value = opts.key ? config.get(opts.key) : config.data;
+        if (value === undefined) console.log(chalk.gray(`${opts.key} is not set — the built-in default applies.`));
+        else console.log(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+        return;
+      }
+      case 'set': {
+        if (!opts.key || opts.value === undefined) {
+          log.error('Usage: zeroclaw config set <key> <value>');
+          process.exitCode = 1;
+          return;
+        }
+        let value = opts.value;
+        try { value = JSON.parse(opts.value); } catch { /* plain text */ }
+        const problems = await config.set(opts.key, value, { user: opts.user });
+        if (problems.length) {
+          problems.forEach(p => log.error(p));
+          process.exitCode = 1;
+          return;
+        }
+        log.done(`${opts.key} = ${JSON.stringify(value)}  (${config.label(opts.user ? config.userFile : config.workspaceFile)})`);
+        return;
+      }
+      case 'validate': {
+        const problems = await config.validate();
+        if (problems.length) {
+          problems.forEach(p => log.error(p));
+          process.exitCode = 1;
+          return;
+        }
+        const files = [config.userFile, config.workspaceFile].filter(f => fs.pathExistsSync(f)).map(f => config.label(f));
+        log.done(files.length ? `Configuration is valid (${files.join(', ')}).` : 'No config.json yet — built-in defaults apply.');
+        return;
+      }
+      default:
+        log.error(`Unknown config action "${opts.action}" — use get | set | validate`);
+        process.exitCode = 1;
+    }
+  }
+
+  /** Every running session, one line each. */
+  static async _printSessions() {
+    const sessions = await Sessions.list();
+    if (!sessions.length) {
+      console.log(chalk.gray('No zeroclaw sessions running.'));
+      return;
+    }
+    console.log(chalk.cyan('\nZeroclaw Sessions\n'));
+    for (const s of sessions) {
+      const state = await fs.readJson(path.join(s.workspace, '.zeroclaw', 'session.json')).catch(() => ({}));
+      console.log(`  ${chalk.bold(s.name.padEnd(20))} ${String(state.state || '?').padEnd(15)} ${s.runner.padEnd(5)} ` +
+        (s.supervisor ? chalk.green(`supervisor pid ${s.pid}`) : chalk.gray('supervisor exited')) +
+        chalk.gray(`  ${s.workspace}`));
+    }
+    console.log(chalk.gray('\n  zeroclaw status <name> · zeroclaw attach <name> · zeroclaw kill <name>'));
+  }
+
+  /** Workspace of the named session, or the current directory when no name is given. */
+  static async _workspaceFor(name) {
+    if (!name) return process.cwd();
+    const entry = await Sessions.find(name);
+    if (entry) return entry.workspace;
+    console.log(chalk.yellow(`No running session named "${name}".`));
+    await Session._printSessions();
+    return null;
+  }
+
   /* ─── Intent dispatch (called by Conversation) ─────────────────────── */
 
   /**
    * Called when user intent is identified.
    * @param {'new_task'|'project_init'|'continue'|'exit'} intent
    * @param {object} context  — extracted context from the conversation
+   *                            (`preview`: the --preview switch, asks before launching; `ask` reads the answer)
    */
   async dispatch(intent, context = {}) {
     switch (intent) {
       case 'project_init':
       case 'new_task': {
+        await this.lifecycle.go(S.PLANNING, intent);
         const planner = new Planner(this.workspace, this);
         const plan    = await planner.run(context);
-        if (plan) {
-          const dist = new Distributor(this.workspace, this);
-          await dist.run(plan);
+        if (!plan) {
+          await this.lifecycle.go(this._idleState(), 'no plan');
+          break;
+        }
+
+        await this.lifecycle.go(S.DISTRIBUTING, `${plan.tasks.length} task(s)`);
+        // Agents already running: fold the new plan in instead of starting over
+        if (this.distributor) {
+          const applied = await this.distributor.replan(plan, { ask: context.ask });
+          await this.lifecycle.go(S.AGENTS_RUNNING, applied ? 're-planned' : 'plan change not applied');
+        } else {
+          const dist     = new Distributor(this.workspace, this);
+          const launched = await dist.run(plan, { dryRun: this.dryRun, preview: context.preview, ask: context.ask });
+          if (launched) this.distributor = dist;
+          await this.lifecycle.go(this._idleState(), launched ? 'agents launched' : 'nothing launched');
         }
         break;
       }
       case 'continue': {
-        // Restore from .planning/ state via /gsd:resume-work
-        const dist = new Distributor(this.workspace, this);
-        await dist.resumeFromState();
+        // The agents this session launched are the journaled ones — a second
+        // distributor would double every watcher, timer and queue write
+        if (this.distributor) {
+          log.info('Agents are already running in this session — nothing to restore.');
+          break;
+        }
+        // Relaunch the journaled assignments, or fall back to /gsd:resume-work
+        await this.lifecycle.go(S.DISTRIBUTING, 'continue');
+        const dist    = new Distributor(this.workspace, this);
+        const resumed = await dist.resumeFromState({ dryRun: this.dryRun });
+        if (resumed === 'journal') this.distributor = dist;
+        await this.lifecycle.go(resumed || this.distributor ? S.AGENTS_RUNNING : S.CONVERSING,
+          resumed === 'journal' ? 'agents restored from the journal' : resumed ? 'resume pane launched' : 'nothing launched');
         break;
       }
       case 'exit': {
@@ -114,33 +422,120 @@ class Session {
     }
   }
 
+  /** Record an agent worktree so `zeroclaw kill` can clean it up. */
+  async trackWorktree(wt) {
+    this.worktrees = [...this.worktrees.filter(w => w.agent !== wt.agent), wt];
+    await this._saveState();
+  }
+
+  /** Record an agent pane so `zeroclaw status` can follow it (a relaunch replaces the entry). */
+  async trackAgent(agent) {
+    this.agents = [...this.agents.filter(a => a.name !== agent.name), agent];
+    await this._saveState();
+  }
+
+  /** Concurrency limits, live readings and held agents, shown by `zeroclaw status`. */
+  async recordConcurrency(snapshot) {
+    await this._saveState({ concurrency: snapshot });
+  }
+
   /* ─── Helpers ───────────────────────────────────────────────────────── */
 
+  /** Where the session rests between requests: with agents at work, or just talking. */
+  _idleState() {
+    return this.distributor ? S.AGENTS_RUNNING : S.CONVERSING;
+  }
+
   async _ensureDirs() {
     await fs.ensureDir(path.join(this.workspace, '.zeroclaw'));
     await fs.ensureDir(path.join(this.workspace, '.planning'));
     await fs.ensureDir(path.join(this.workspace, 'docs', 'session-logs'));
   }
 
+  /**
+   * Check the user and workspace config.json against the schema, then take
+   * what no command-line flag already set from them.
+   * @returns {Promise<boolean>}  false (after listing the problems) when a file is invalid
+   */
+  async _loadConfig() {
+    const config   = new Config(this.workspace);
+    const problems = await config.validate();
+    if (problems.length) {
+      log.error(`Invalid configuration (${problems.length} problem${problems.length === 1 ? '' : 's'}):`);
+      problems.forEach(p => log.error(`  ${p}`));
+      log.info('Fix the file, or use `zeroclaw config set <key> <value>`; `zeroclaw config validate` checks it again.');
+      return false;
+    }
+    this.config       = await config.load();
+    this.runner     ||= config.get('runner', 'tmux');
+    this.tmuxLayout ||= config.get('tmux.layout', 'tiled');
+    this.lightning  ??= config.get('lightning.enabled', true);
+    this.tmux         = config.get('tmux', {});
+    return true;
+  }
+
   async _loadOrInitState() {
     if (await fs.pathExists(this.stateFile)) {
       const prev = await fs.readJson(this.stateFile);
       if (prev.status !== 'ended') {
-        log.warn(`Resuming unfinished session: ${prev.id}`);
-        this.id = prev.id;
+        // Crash recovery: say where the previous run stopped and keep its record
+        log.warn(`Resuming unfinished session: ${prev.id}` +
+          (prev.state ? ` — it stopped while ${prev.state.replace('_', ' ')} (since ${prev.since})` : ''));
+        this.id        = prev.id;
+        this.name    ||= prev.name || null;
+        this.meta.startCommit = prev.startCommit;
+        this.worktrees = prev.worktrees || [];
+        this.agents    = prev.agents || [];
+        this.lifecycle = new Lifecycle({ history: prev.history });
+        this.meta.recoveredFrom = prev.state ? { state: prev.state, since: prev.since } : undefined;
       }
     }
-    await this._saveState({ status: 'active', startedAt: new Date().toISOString() });
+    // Named per workspace unless --name says otherwise; throws if the name is taken
+    this.name = await Sessions.nameFor(this.workspace, this.name);
+
+    // Every transition is written to session.json as it happens, and published
+    const events = Events.for(this.workspace);
+    events.session = this.id;
+    this.lifecycle.on('*', () => this._saveState());
+    this.lifecycle.on('*', ({ from, to, reason }) => events.publish('session.transition', { from, to, reason: reason || null }));
+    await this._saveState({ status: 'active', name: this.name, runner: this.runner, startedAt: new Date().toISOString() });
+
+    // Global registry for `zeroclaw status | attach | kill <name>`; the pid goes
+    // once the supervisor exits (tmux agents stay listed until killed)
+    const entry = { name: this.name, workspace: this.workspace, runner: this.runner, pid: process.pid, startedAt: this.meta.startedAt };
+    await Sessions.register(entry);
+    this.lifecycle.on(S.SESSION_END, () => Sessions.register({ ...entry, pid: null }));
+    this.lifecycle.on(S.SESSION_END, () => this._archive('exit'));
+  }
+
+  async _archive(reason) {
+    this.meta.archive = await new Archive(this.workspace).write(this._snapshot(), reason);
+    log.done(`Session archived to ${this.meta.archive}`);
   }
 
   async _saveState(extra = {}) {
-    await fs.writeJson(this.stateFile, {
+    this.meta = { ...this.meta, ...extra };
+    await fs.writeJson(this.stateFile, this._snapshot(), { spaces: 2 });
+  }
+
+  /** What session.json holds. */
+  _snapshot() {
+    return {
       id: this.id,
       workspace: this.workspace,
       agents: this.agents,
-      ...extra
-    }, { spaces: 2 });
+      worktrees: this.worktrees,
+      ...this.meta,
+      ...this.lifecycle.toJSON()
+    };
   }
 }
 
+/** "42 min" / "3.5 h" between two ISO times. */
+function minutes(from, to) {
+  const m = Math.round((Date.parse(to) - Date.parse(from)) / 60000);
+  if (Number.isNaN(m)) return '?';
+  return m < 120 ? `${m} min` : `${(m / 60).toFixed(1)} h`;
+}
+
 module.exports = Session;
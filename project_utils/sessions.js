@@ -0,0 +1,132 @@
+'use strict';
+/**
+ * sessions.js — Registry of zeroclaw sessions across workspaces.
+ *
+ * Every session has a name: `zeroclaw start --name <name>`, or the workspace
+ * folder name (plus a short hash of its path if another workspace already
+ * uses it). The name is also the tmux session the agents run in, so sessions
+ * in different repos no longer step on each other.
+ *
+ * Running sessions are recorded in ~/.zeroclaw/sessions.json:
+ *
+ *   { "api": { "name": "api", "workspace": "/src/api", "runner": "tmux",
+ *              "pid": 4242, "startedAt": "…" } }
+ *
+ * `zeroclaw status | kill | attach [name]` look sessions up here. An entry is
+ * dropped once neither its supervisor nor its tmux session is left.
+ */
+
+const path   = require('path');
+const os     = require('os');
+const crypto = require('crypto');
+const fs     = require('fs-extra');
+const execa  = require('execa');
+
+const FILE = path.join(os.homedir(), '.zeroclaw', 'sessions.json');
+
+class SessionRegistry {
+  /**
+   * Running sessions, stale entries pruned.
+   * @returns {Promise<Array<{name, workspace, runner, pid, startedAt, supervisor:boolean}>>}
+   */
+  static async list() {
+    const entries = await SessionRegistry._read();
+    const live    = {};
+    for (const entry of Object.values(entries)) {
+      const supervisor = pidAlive(entry.pid);
+      if (supervisor || await SessionRegistry._agentsAlive(entry)) live[entry.name] = { ...entry, supervisor };
+    }
+    if (Object.keys(live).length !== Object.keys(entries).length) {
+      await SessionRegistry._write(Object.fromEntries(Object.values(live).map(({ supervisor, ...e }) => [e.name, e])));
+    }
+    return Object.values(live).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * A session by name, or else the one running in `workspace`.
+   * @returns {Promise<object|null>}
+   */
+  static async find(name, workspace = null) {
+    const sessions = await SessionRegistry.list();
+    if (name) return sessions.find(s => s.name === name) || null;
+    return sessions.find(s => s.workspace === path.resolve(workspace)) || null;
+  }
+
+  /**
+   * Name for a session in `workspace`.
+   * @param {string} workspace
+   * @param {string} wanted  --name, or the name the workspace's last session had
+   * @throws when `wanted` is not a valid tmux name or is taken by another workspace
+   */
+  static async nameFor(workspace, wanted = null) {
+    const sessions = await SessionRegistry.list();
+    const owner    = name => sessions.find(s => s.name === name && s.workspace !== workspace);
+
+    if (wanted) {
+      if (!/^[\w-]+$/.test(wanted)) throw new Error(`Session name "${wanted}" may only contain letters, digits, "-" and "_"`);
+      const other = owner(wanted);
+      if (other) throw new Error(`Session "${wanted}" is already running for ${other.workspace}`);
+      return wanted;
+    }
+
+    const own = sessions.find(s => s.workspace === workspace);
+    if (own) return own.name;
+
+    const base = path.basename(workspace).toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'zeroclaw';
+    if (!owner(base)) return base;
+    return `${base}-${crypto.createHash('sha1').update(workspace).digest('hex').slice(0, 4)}`;
+  }
+
+  static async register(entry) {
+    const entries = await SessionRegistry._read();
+    entries[entry.name] = entry;
+    await SessionRegistry._write(entries);
+  }
+
+  static async unregister(name) {
+    const entries = await SessionRegistry._read();
+    if (!entries[name]) return;
+    delete entries[name];
+    await SessionRegistry._write(entries);
+  }
+
+  /* ── Helpers ────────────────────────────────────────────────────── */
+
+  /** tmux agents outlive the supervisor; pty agents do not. */
+  static async _agentsAlive(entry) {
+    if (entry.runner !== 'tmux') return false;
+    try {
+      await execa('tmux', ['has-session', '-t', entry.name], { stdio: 'pipe' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  static async _read() {
+    try {
+      return await fs.readJson(FILE);
+    } catch {
+      return {};
+    }
+  }
+
+  static async _write(entries) {
+    await fs.ensureDir(path.dirname(FILE));
+    await fs.writeJson(FILE, entries, { spaces: 2 });
+  }
+}
+
+function pidAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+SessionRegistry.FILE     = FILE;
+SessionRegistry.pidAlive = pidAlive;
+module.exports           = SessionRegistry;
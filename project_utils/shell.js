@@ -0,0 +1,24 @@
+'use strict';
+/**
+ * shell.js — Paths and words for the shell commands agents and runtimes run.
+ *
+ * Launch templates (agents.js) and slash-command invocations (runtimes.js) are
+ * strings a shell parses, so every value substituted into them goes through
+ * quote().
+ */
+
+const path = require('path');
+const os   = require('os');
+
+/** "~/x" → "<home>/x"; any other path as given. */
+function expandHome(p) {
+  return p.startsWith('~') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+/** One shell word: bare when nothing in it needs quoting, single-quoted otherwise. */
+function quote(s) {
+  s = String(s);
+  return /^[\w@%+=:,./-]+$/.test(s) ? s : `'${s.replace(/'/g, `'\\''`)}'`;
+}
+
+module.exports = { expandHome, quote };
@@ -0,0 +1,67 @@
+'use strict';
+/**
+ * timeouts.js — Per-task time budgets.
+ *
+ * Every claimed task has a budget in minutes: its own "(budget: 45m)" marker
+ * from PLAN.md, otherwise `tasks.budgetMinutes` from config. The clock runs
+ * from the task's start span until a done/error span — see TaskQueue; a task
+ * still waiting behind the agent's current one is not clocked. When a running
+ * task goes over budget the Distributor times it out: a negative reward is
+ * recorded and the task is reassigned to a different agent, whose brief points
+ * at the partial work on the old branch.
+ */
+
+const { log } = require('./ui');
+
+const DEFAULTS = {
+  budgetMinutes:   60,
+  intervalSeconds: 60
+};
+
+class TaskTimer {
+  /**
+   * @param {Distributor} distributor  provides `queue` and `timeOut(task, minutes, budget)`
+   * @param {object}      opts         overrides for DEFAULTS (config key "tasks")
+   */
+  constructor(distributor, opts = {}) {
+    this.distributor = distributor;
+    this.opts        = { ...DEFAULTS, ...opts };
+    this.timer       = null;
+    this.busy        = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.check(), this.opts.intervalSeconds * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  budget(task) {
+    return task.budget || this.opts.budgetMinutes;
+  }
+
+  async check() {
+    if (this.busy) return;
+    this.busy = true;
+    try {
+      const queue = this.distributor.queue;
+      for (const task of queue.running()) {
+        const minutes = queue.elapsed(task.id);
+        if (minutes > this.budget(task)) {
+          await this.distributor.timeOut(task, Math.floor(minutes), this.budget(task));
+        }
+      }
+    } catch (err) {
+      log.warn(`Task timer: ${err.message}`);
+    } finally {
+      this.busy = false;
+    }
+  }
+}
+
+TaskTimer.DEFAULTS = DEFAULTS;
+module.exports     = TaskTimer;
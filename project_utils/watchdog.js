@@ -0,0 +1,140 @@
+'use strict';
+/**
+ * watchdog.js — Agent health monitoring and automatic restart.
+ *
+ * Once an agent command is sent into its window nobody looks at it again,
+ * so the supervisor runs this watchdog alongside the agents. Every interval
+ * it inspects each launched agent window through the runner (tmux or pty):
+ *
+ *   exited  — window gone, pane dead, or the pane is back at a bare shell
+ *   stuck   — pane output unchanged for `stuckMinutes`
+ *
+ * Agents holding no open task are skipped: an idle pane is expected to be quiet.
+ *
+ * A problem writes an error report to .zeroclaw/errors/ (AgentLightning turns
+ * it into a negative reward) and the agent is relaunched on its current task
+ * brief. An agent is left alone once it crash-loops (`crashLoopCount` restarts
+ * inside `crashWindowMinutes`) or has used up `maxRestarts` over the session.
+ */
+
+const crypto    = require('crypto');
+const chalk     = require('chalk');
+const Lightning = require('./lightning');
+const { log }   = require('./ui');
+
+const DEFAULTS = {
+  intervalSeconds:    30,
+  stuckMinutes:       10,
+  maxRestarts:        5,
+  crashLoopCount:     3,
+  crashWindowMinutes: 5
+};
+
+class Watchdog {
+  /**
+   * @param {Distributor} distributor  provides `launched`, `runner`, `workspace` and `relaunch(agent, reason)`
+   * @param {object}      opts         overrides for DEFAULTS (config key "watchdog")
+   */
+  constructor(distributor, opts = {}) {
+    this.distributor = distributor;
+    this.workspace   = distributor.workspace;
+    this.opts        = { ...DEFAULTS, ...opts };
+    this.timer       = null;
+    this.busy        = false;
+    this.agents      = {};   // agent → { hash, changedAt, restarts: [ts], failed }
+  }
+
+  start() {
+    this.timer = setInterval(() => this.check(), this.opts.intervalSeconds * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /** One pass over every launched agent. */
+  async check() {
+    if (this.busy) return;
+    this.busy = true;
+    try {
+      for (const agent of this.distributor.launched) {
+        const state = this.agents[agent] ||= { hash: null, changedAt: Date.now(), restarts: [], failed: false };
+        if (state.failed) continue;
+        if (this.distributor.queue && !this.distributor.queue.open(agent).length) {
+          // Nothing to do, so nothing to watch; the stuck clock restarts with its next task
+          state.hash      = null;
+          state.changedAt = Date.now();
+          continue;
+        }
+
+        const problem = await this._inspect(agent, state);
+        if (problem) await this._handle(agent, state, problem);
+      }
+    } catch (err) {
+      log.warn(`Watchdog: ${err.message}`);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /* ── Inspection ─────────────────────────────────────────────────── */
+
+  async _inspect(agent, state) {
+    const { alive, reason, output } = await this.distributor.runner.inspect(agent);
+    if (!alive) return reason;
+
+    const hash = crypto.createHash('sha1').update(output).digest('hex');
+    if (hash !== state.hash) {
+      state.hash      = hash;
+      state.changedAt = Date.now();
+      return null;
+    }
+
+    const idleMin = (Date.now() - state.changedAt) / 60000;
+    return idleMin >= this.opts.stuckMinutes ? `no output for ${Math.floor(idleMin)} min` : null;
+  }
+
+  /* ── Recovery ───────────────────────────────────────────────────── */
+
+  async _handle(agent, state, problem) {
+    const now    = Date.now();
+    const window = this.opts.crashWindowMinutes * 60000;
+    const recent = state.restarts.filter(ts => now - ts < window);
+
+    await this._recordError(agent, problem, state.restarts.length);
+
+    if (state.restarts.length >= this.opts.maxRestarts || recent.length >= this.opts.crashLoopCount) {
+      state.failed = true;
+      log.error(
+        chalk.red(`[watchdog] ${agent}`) + ` ${problem} — giving up after ${state.restarts.length} restart(s)` +
+        (recent.length >= this.opts.crashLoopCount ? ' (crash loop)' : '')
+      );
+      return;
+    }
+
+    log.warn(chalk.yellow(`[watchdog] ${agent}`) + ` ${problem} — relaunching (${state.restarts.length + 1}/${this.opts.maxRestarts})`);
+    state.restarts.push(now);
+    state.hash      = null;
+    state.changedAt = now;
+
+    try {
+      await this.distributor.relaunch(agent, problem);
+    } catch (err) {
+      log.warn(`[watchdog] Relaunch of ${agent} failed: ${err.message}`);
+    }
+  }
+
+  async _recordError(agent, problem, restarts) {
+    await Lightning.reportError(this.workspace, {
+      agent,
+      kind:  'watchdog',
+      task:  this.distributor.queue?.open(agent).map(t => `#${t.id} ${t.title}`).join('; '),
+      error: `Watchdog: ${problem} (restarts so far: ${restarts})`
+    });
+  }
+}
+
+Watchdog.DEFAULTS = DEFAULTS;
+module.exports    = Watchdog;
@@ -21,25 +21,22 @@
  *  or: zeroclaw-setup (if installed globally)
  */
 
-const execa = require('execa');
-const chalk = require('chalk');
-const ora   = require('ora');
-const fs    = require('fs-extra');
-const path  = require('path');
+const execa    = require('execa');
+const chalk    = require('chalk');
+const ora      = require('ora');
+const fs       = require('fs-extra');
+const path     = require('path');
+const Runtimes = require('../project_utils/runtimes');
 
 const HOME = process.env.HOME;
 
 // ── Runtime detection ────────────────────────────────────────────────────────
 
-async function detectRuntimes() {
-  const runtimes = {};
-  for (const rt of ['claude', 'opencode', 'gemini', 'codex']) {
-    try {
-      await execa(rt, ['--version'], { stdio: 'pipe', timeout: 3000 });
-      runtimes[rt] = true;
-    } catch { runtimes[rt] = false; }
-  }
-  return runtimes;
+// Runtime table shared with the planner (project_utils/runtimes.js), so a
+// runtime added in .zeroclaw/config.json is set up here too
+async function detectRuntimes(registry) {
+  const found = await registry.detect();
+  return Object.fromEntries(registry.names().map(rt => [rt, found.includes(rt)]));
 }
 
 function printRuntimes(rts) {
@@ -53,22 +50,15 @@ function printRuntimes(rts) {
 
 // ── GSD ──────────────────────────────────────────────────────────────────────
 
-async function installGSD(runtimes) {
+async function installGSD(registry, runtimes) {
   console.log(chalk.cyan.bold('\n1. get-shit-done (GSD)'));
   console.log(chalk.gray('   Context engineering & spec-driven development for the planning phase.'));
 
-  const flagMap = {
-    claude:   '--claude',
-    opencode: '--opencode',
-    gemini:   '--gemini',
-    codex:    '--codex'
-  };
-
   for (const [rt, found] of Object.entries(runtimes)) {
     if (!found) continue;
     const spinner = ora(`  Installing GSD for ${rt}...`).start();
     try {
-      await execa('npx', ['get-shit-done-cc@latest', flagMap[rt], '--global'], { stdio: 'pipe' });
+      await registry.installGsd(rt, { stdio: 'pipe' });
       spinner.succeed(`  GSD installed for ${rt}`);
     } catch (err) {
       spinner.fail(`  GSD install failed for ${rt}: ${err.message}`);
@@ -205,7 +195,8 @@ async function main() {
   console.log(chalk.cyan.bold('\n⚡  Zeroclaw Setup\n'));
   console.log('Installing integrations for GSD · Superpowers · AgentLightning\n');
 
-  const runtimes = await detectRuntimes();
+  const registry = await Runtimes.load(process.cwd());
+  const runtimes = await detectRuntimes(registry);
   printRuntimes(runtimes);
 
   const anyFound = Object.values(runtimes).some(Boolean);
@@ -220,7 +211,7 @@ async function main() {
     ));
   }
 
-  await installGSD(runtimes);
+  await installGSD(registry, runtimes);
   await installSuperpowers(runtimes);
   await installAgentLightning();
 